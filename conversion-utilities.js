@@ -26,6 +26,67 @@ class ConversionUtils {
         return Math.pow(10, logValue);
     }
 
+    // =============================================================================
+    // AXIS RANGES
+    // =============================================================================
+
+    // Axis = {min, max, scale}: timeline axes in calendar years, duration axes in years
+    getDefaultAxis(mode) {
+        if (mode === 'timeline') {
+            return { min: 2025, max: 2065, scale: 'linear' };
+        }
+        return { min: this.minTimeYears, max: this.maxTimeYears, scale: 'log' };
+    }
+
+    // Fill in defaults and parse string bounds ("1 day", "2030"); throws on invalid ranges
+    resolveAxis(mode, axisConfig = {}) {
+        const axis = { ...this.getDefaultAxis(mode), ...axisConfig };
+        const parseBound = (value) => {
+            if (typeof value === 'number') return value;
+            return mode === 'timeline' ? parseFloat(value) : this.parseDuration(String(value));
+        };
+
+        axis.min = parseBound(axis.min);
+        axis.max = parseBound(axis.max);
+
+        if (!Number.isFinite(axis.min) || !Number.isFinite(axis.max) || axis.min >= axis.max) {
+            throw new Error(`Invalid axis range: ${axisConfig.min} to ${axisConfig.max}`);
+        }
+        if (axis.scale !== 'linear' && axis.scale !== 'log') {
+            throw new Error(`Axis scale must be 'linear' or 'log', got '${axis.scale}'`);
+        }
+        if (axis.scale === 'log' && axis.min <= 0) {
+            throw new Error('Log axis needs a positive minimum');
+        }
+
+        return axis;
+    }
+
+    // Position of a value on an axis (0 = min, 1 = max; not clamped)
+    toNormalized(value, axis) {
+        if (axis.scale === 'log') {
+            return (Math.log(value) - Math.log(axis.min)) / (Math.log(axis.max) - Math.log(axis.min));
+        }
+        return (value - axis.min) / (axis.max - axis.min);
+    }
+
+    // Value at a position on an axis (inverse of toNormalized)
+    fromNormalized(normalizedValue, axis) {
+        if (axis.scale === 'log') {
+            return Math.exp(Math.log(axis.min) + normalizedValue * (Math.log(axis.max) - Math.log(axis.min)));
+        }
+        return axis.min + normalizedValue * (axis.max - axis.min);
+    }
+
+    // How fast the normalized position moves per year at a value (d toNormalized / d value),
+    // to turn densities per unit of normalized time into densities per year
+    normalizedPerYear(value, axis) {
+        if (axis.scale === 'log') {
+            return 1 / (value * (Math.log(axis.max) - Math.log(axis.min)));
+        }
+        return 1 / (axis.max - axis.min);
+    }
+
     // =============================================================================
     // INPUT PARSING FUNCTIONS
     // =============================================================================
@@ -55,7 +116,7 @@ class ConversionUtils {
     }
 
     // Absolute year parsing - for timeline slides like "2025", "2027.5"
-    parseAbsoluteYear(yearStr) {
+    parseAbsoluteYear(yearStr, axis = this.getDefaultAxis('timeline')) {
         if (yearStr === undefined || yearStr === null || typeof yearStr !== 'string') {
             console.warn('parseAbsoluteYear received invalid input:', yearStr);
             return null;
@@ -65,9 +126,9 @@ class ConversionUtils {
         
         if (isNaN(number)) return null;
         
-        // For timeline context, we expect years in range 2025-2065
+        // For timeline context, we expect years within the axis range
         // Allow fractional years like 2027.5
-        if (number >= 2025 && number <= 2065) {
+        if (number >= axis.min && number <= axis.max) {
             return number;
         }
         
@@ -100,6 +161,18 @@ class ConversionUtils {
         return Math.max(0, Math.min(1, number));
     }
 
+    // Spreadsheet paste - one array of trimmed fields per non-empty line. Cells are
+    // tab-separated when copied from Excel/Sheets; otherwise split on commas or semicolons
+    splitPastedRows(text) {
+        return text
+            .split(/\r\n|\r|\n/)
+            .filter(line => line.trim() !== '')
+            .map(line => line
+                .split(line.includes('\t') ? '\t' : /[,;]/)
+                .map(field => field.trim())
+                .filter(field => field !== ''));
+    }
+
     // =============================================================================
     // FORMATTING FUNCTIONS
     // =============================================================================
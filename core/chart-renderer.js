@@ -12,24 +12,41 @@
  * 
  * INTERFACE:
  * - renderChart(tables, context): void - Main rendering method
- * - updateAxes(axisMode): void - Switch between linear/log axes
+ * - updateAxes(axisMode, axis): void - Switch axis mode and range
  * - clearChart(): void - Remove all curves and labels
  * - setTransformation(transformType): void - Y-axis transformations
+ * - setPointDragHandler(handler): void - Enable dragging of table point markers
  * 
  * DATA INPUT FORMAT:
- * - tables: {tableId: {data: [{x, y}], context: {mode, title, isSurvival}}}
- * - context: {axisMode: 'timeline'|'duration', yTransform: 'linear'|'cube'}
+ * - tables: {tableId: {data: [{x, y}], points?: [{x, y}], residuals?: [{x, y, fittedX}],
+ *                      context: {mode, title, isSurvival}}}
+ * - points: raw table rows in chart space, drawn as markers (draggable when a handler is set)
+ * - residuals: per raw point, where the fitted curve reaches its probability; drawn as a
+ *   whisker from the point to the curve (CDF view only)
+ * - context: {axisMode: 'timeline'|'duration', axis: {min, max, scale}, yTransform: 'linear'|'cube',
+ *            view: 'cdf'|'density'|'hazard', conflicts?: [{label, points: [{x, y0, y1}]}]}
+ * - conflicts: regions where related tables contradict each other, shaded between y0 and y1
+ * 
+ * VIEWS:
+ * - 'cdf': data y are probabilities (default)
+ * - 'density' / 'hazard': data y are rates per year; they are rescaled by a rounded
+ *   maximum (valueMax) into [0,1], so curves, labels and y transforms work unchanged
  * 
  * AXIS MODES:
- * - 'timeline': Linear years (2025, 2030, 2035...)
- * - 'duration': Logarithmic time (1 day, 1 week, 1 month...)
+ * - 'timeline': Calendar years (2025, 2030, 2035...)
+ * - 'duration': Elapsed time (1 day, 1 week, 1 month...)
+ * - axis {min, max, scale} sets the range and linear/log scaling; ticks follow it
+ *   (defaults: 2025-2065 linear, 1 day-100 years log)
  * 
  * EVENTS:
  * - None (pure rendering component)
  * - Tooltips and interactions handled internally
+ * - Point drags are reported to the drag handler: handler(tableId, rowIndex, {x, y})
+ *   returns the accepted point (after the owner's clipping rules) or null
  * 
  * DEPENDENCIES:
  * - D3.js for visualization
+ * - ConversionUtils for axis ranges and time formatting
  * - distributions/ modules for curve fitting (passed in data)
  */
 
@@ -50,23 +67,36 @@ class ChartRenderer {
 
         // Chart state
         this.currentAxisMode = 'duration'; // 'timeline' or 'duration'
+        this.currentAxis = null; // {min, max, scale}, set by updateAxes
         this.yAxisTransformed = false;
         this.currentExponent = 1; // 1 = linear, 2.5 = cube root for small probabilities
+        this.currentView = 'cdf'; // 'cdf', 'density' or 'hazard'
+        this.valueMax = 1; // Rate shown at the top of the chart in density/hazard views
         
         // Initialize D3 elements
         this.svg = null;
         this.xScale = null;
         this.yScale = null;
         // splitY removed - using full chart height
+        this.markerLayer = null;
+        
+        // Point dragging (see setPointDragHandler)
+        this.pointDragHandler = null;
         
         // Store chart data for redrawing on resize
-        this.currentChartData = null;
+        this.renderInput = null; // {tables, context} as passed to renderChart
+        this.currentChartData = null; // Tables as drawn (rates rescaled)
         this.currentContext = null;
         
         // Validation
         if (typeof d3 === 'undefined') {
             throw new Error('ChartRenderer requires D3.js to be loaded');
         }
+        if (typeof ConversionUtils === 'undefined') {
+            throw new Error('ChartRenderer requires ConversionUtils to be loaded');
+        }
+        
+        this.conversionUtils = new ConversionUtils();
         
         this.init();
         this.setupResizeHandler();
@@ -100,6 +130,10 @@ class ChartRenderer {
 
         this.setupScales();
         this.createInitialAxes();
+        
+        // Markers live in their own layer so redraws mid-drag keep the dragged element
+        this.markerLayer = this.svg.append("g")
+            .attr("class", "point-markers");
     }
 
     /**
@@ -143,8 +177,8 @@ class ChartRenderer {
             this.init();
             
             // Redraw with current data if available
-            if (this.currentChartData && this.currentContext) {
-                this.renderChart(this.currentChartData, this.currentContext);
+            if (this.renderInput) {
+                this.renderChart(this.renderInput.tables, this.renderInput.context);
             }
         }
     }
@@ -192,15 +226,25 @@ class ChartRenderer {
         console.log('🎨 ChartRenderer.renderChart called with:', Object.keys(tables), context);
         
         // Store data for potential redraw on resize
+        this.renderInput = { tables, context };
+        
+        // Rate views are drawn as fractions of a rounded maximum
+        this.currentView = context.view || 'cdf';
+        if (this.currentView !== 'cdf') {
+            tables = this._scaleRateValues(tables);
+        }
         this.currentChartData = tables;
         this.currentContext = context;
         
         // Clear existing content
         this.clearChart();
         
-        // Update axes if mode changed
-        if (context.axisMode && context.axisMode !== this.currentAxisMode) {
-            this.updateAxes(context.axisMode);
+        // Update axes if mode or range changed
+        if (context.axisMode) {
+            const axis = context.axis || this.conversionUtils.getDefaultAxis(context.axisMode);
+            if (context.axisMode !== this.currentAxisMode || JSON.stringify(axis) !== JSON.stringify(this.currentAxis)) {
+                this.updateAxes(context.axisMode, axis);
+            }
         }
         
         // Update Y-axis transformation if needed
@@ -208,6 +252,10 @@ class ChartRenderer {
             this.setYTransformation(context.yTransform);
         }
         
+        // Y ticks and title depend on the view and its maximum
+        this.updateYAxisWithAnimation();
+        this._updateYAxisTitle();
+        
         // Render each table's curve
         let curveIndex = 0;
         for (const [tableId, tableInfo] of Object.entries(tables)) {
@@ -215,14 +263,21 @@ class ChartRenderer {
                 this.renderTableCurve(
                     tableInfo.data,
                     tableInfo.context || {},
-                    curveIndex
+                    curveIndex,
+                    this.currentView === 'cdf' ? tableInfo.residuals : null
                 );
                 curveIndex++;
             }
         }
         
+        // Conflict shading sits behind the curves
+        this.renderConflictRegions(context.conflicts || []);
+        
         // After all curves are rendered, optimize label placement
         this.optimizeLabelPlacement();
+        
+        // Raw table points on top of the curves
+        this.renderPointMarkers(tables);
     }
     
     /**
@@ -231,6 +286,8 @@ class ChartRenderer {
     clearChart() {
         this.svg.selectAll(".s-curve").remove();
         this.svg.selectAll(".curve-label").remove(); // This handles both text and g elements
+        this.svg.selectAll(".residual-whisker").remove();
+        this.svg.selectAll(".conflict-region").remove();
         
         // Clear pending labels and positions
         this.pendingLabels = [];
@@ -243,17 +300,18 @@ class ChartRenderer {
     /**
      * Update axes based on mode
      */
-    updateAxes(axisMode) {
-        console.log(`🎯 ChartRenderer updating axes to: ${axisMode}`);
+    updateAxes(axisMode, axis = this.conversionUtils.getDefaultAxis(axisMode)) {
+        console.log(`🎯 ChartRenderer updating axes to: ${axisMode}`, axis);
         
         this.currentAxisMode = axisMode;
+        this.currentAxis = axis;
         
         // Remove existing axes
         this.svg.selectAll(".x-axis").remove();
         this.svg.selectAll(".grid").remove();
         
         // Get appropriate ticks
-        const timeTicks = this.getTimeTicks(axisMode);
+        const timeTicks = this.getTimeTicks(axisMode, axis);
         
         // Create new x-axis
         const xAxis = d3.axisBottom(this.xScale)
@@ -281,96 +339,67 @@ class ChartRenderer {
     }
     
     /**
-     * Get tick marks based on axis mode
+     * Get tick marks based on axis mode and range
      */
-    getTimeTicks(axisMode) {
+    getTimeTicks(axisMode, axis) {
+        let ticks;
         if (axisMode === 'timeline') {
-            return this.getLinearYearTicks();
+            ticks = this.getYearTicks(axis);
+        } else if (axis.scale === 'log') {
+            ticks = this.getLogDurationTicks(axis);
         } else {
-            return this.getLogDurationTicks();
+            ticks = this.getLinearDurationTicks(axis);
         }
+        
+        return ticks.map(tick => ({
+            ...tick,
+            position: this.conversionUtils.toNormalized(tick.years, axis)
+        }));
     }
     
     /**
-     * Linear year ticks for timeline slides (2025-2065)
+     * Round-number year ticks for timeline slides (every 5 years on 2025-2065)
      */
-    getLinearYearTicks() {
-        const years = [2025, 2030, 2035, 2040, 2045, 2050, 2055, 2060, 2065];
-        const currentYear = 2025;
-        const maxYear = 2065;
-        const yearRange = maxYear - currentYear;
-        
-        return years.map(year => ({
-            years: year - currentYear,
-            label: year.toString(),
-            position: (year - currentYear) / yearRange // Linear position [0,1]
+    getYearTicks(axis) {
+        return d3.ticks(axis.min, axis.max, 8).map(year => ({
+            years: year,
+            label: year.toString()
         }));
     }
     
     /**
-     * Logarithmic duration ticks for other slides
+     * Logarithmic duration ticks at familiar durations within the range
      */
-    getLogDurationTicks() {
-        const oneDayInYears = 1 / 365.25;
-        const oneWeekInYears = 7 / 365.25;
-        const oneMonthInYears = 1 / 12;
-        const oneCenturyInYears = 100;
-
-        // Use simple log scale for now (would use distributions/metalog-core.js)
-        const timeToNormalized = (years) => {
-            const minLog = Math.log(oneDayInYears);
-            const maxLog = Math.log(oneCenturyInYears);
-            const currentLog = Math.log(years);
-            return Math.max(0, Math.min(1, (currentLog - minLog) / (maxLog - minLog)));
-        };
-
-        return [
-            {
-                years: oneDayInYears,
-                label: "1 day",
-                position: timeToNormalized(oneDayInYears),
-            },
-            {
-                years: oneWeekInYears,
-                label: "1 week",
-                position: timeToNormalized(oneWeekInYears),
-            },
-            {
-                years: oneMonthInYears,
-                label: "1 month",
-                position: timeToNormalized(oneMonthInYears),
-            },
-            {
-                years: 0.25,
-                label: "3 months",
-                position: timeToNormalized(0.25),
-            },
-            {
-                years: 1,
-                label: "1 year",
-                position: timeToNormalized(1),
-            },
-            {
-                years: 3,
-                label: "3 years",
-                position: timeToNormalized(3),
-            },
-            {
-                years: 10,
-                label: "10 years",
-                position: timeToNormalized(10),
-            },
-            {
-                years: 30,
-                label: "30 years",
-                position: timeToNormalized(30),
-            },
-            {
-                years: oneCenturyInYears,
-                label: "1 century",
-                position: timeToNormalized(oneCenturyInYears),
-            },
+    getLogDurationTicks(axis) {
+        const candidates = [
+            { years: 1 / (365.25 * 24), label: "1 hour" },
+            { years: 1 / 365.25, label: "1 day" },
+            { years: 7 / 365.25, label: "1 week" },
+            { years: 1 / 12, label: "1 month" },
+            { years: 0.25, label: "3 months" },
+            { years: 1, label: "1 year" },
+            { years: 3, label: "3 years" },
+            { years: 10, label: "10 years" },
+            { years: 30, label: "30 years" },
+            { years: 100, label: "1 century" },
+            { years: 300, label: "3 centuries" },
+            { years: 1000, label: "1000 years" }
         ];
+        
+        // Small tolerance so ticks exactly at the bounds survive float error
+        return candidates.filter(tick =>
+            tick.years >= axis.min * (1 - 1e-9) && tick.years <= axis.max * (1 + 1e-9)
+        );
+    }
+    
+    /**
+     * Evenly spaced duration ticks for linear duration axes
+     */
+    getLinearDurationTicks(axis) {
+        return d3.ticks(axis.min, axis.max, 8).map(years => ({
+            years,
+            label: this.conversionUtils.formatTime(years)
+        }));
     }
 
     // === CURVE RENDERING ===
@@ -378,7 +407,7 @@ class ChartRenderer {
     /**
      * Render curve for a single table
      */
-    renderTableCurve(data, tableContext, index) {
+    renderTableCurve(data, tableContext, index, residuals = null) {
         const curveName = tableContext.title || `Table ${index + 1}`;
         console.log(`📈 Rendering curve for ${curveName}:`, data);
         
@@ -386,7 +415,7 @@ class ChartRenderer {
         const line = d3.line()
             .x(d => this.xScale(d.x))
             .y(d => this.yScale(this.transformY(d.y)))
-            .curve(d3.curveMonotoneX);
+            .curve(this._getCurveFactory());
         
         // Draw curve
         const curve = this.svg.append("path")
@@ -399,10 +428,161 @@ class ChartRenderer {
         // Add interactions
         this.addCurveInteractions(curve, curveName, tableContext);
         
+        // Horizontal whiskers from each raw point to where the fit reaches its probability
+        if (residuals && residuals.length > 0) {
+            this.svg.selectAll(null)
+                .data(residuals)
+                .enter()
+                .append("line")
+                .attr("class", "residual-whisker")
+                .attr("x1", d => this.xScale(d.x))
+                .attr("x2", d => this.xScale(d.fittedX))
+                .attr("y1", d => this.yScale(this.transformY(d.y)))
+                .attr("y2", d => this.yScale(this.transformY(d.y)))
+                .attr("clip-path", "url(#chart-area)")
+                .style("stroke", this.getColor(index));
+        }
+        
         // Add label
         this.addCurveLabel(curveName, index, data, tableContext);
     }
     
+    /**
+     * Shade each conflict region between its two curves
+     */
+    renderConflictRegions(conflicts) {
+        for (const conflict of conflicts) {
+            if (conflict.points.length < 2) {
+                continue;
+            }
+            
+            this.svg.insert("path", ".s-curve")
+                .datum(conflict.points)
+                .attr("class", "conflict-region")
+                .attr("d", this._getConflictArea())
+                .attr("clip-path", "url(#chart-area)")
+                .append("title")
+                .text(conflict.label);
+        }
+    }
+    
+    /**
+     * Area generator for conflict regions under the current y transform
+     */
+    _getConflictArea() {
+        return d3.area()
+            .x(d => this.xScale(d.x))
+            .y0(d => this.yScale(this.transformY(d.y0)))
+            .y1(d => this.yScale(this.transformY(d.y1)));
+    }
+    
+    /**
+     * Draw a marker per raw table point, keyed by table and row so a marker
+     * being dragged survives the redraw its own drag triggers
+     */
+    renderPointMarkers(tables) {
+        const markers = [];
+        let curveIndex = 0;
+        for (const [tableId, tableInfo] of Object.entries(tables)) {
+            if (tableInfo.data && tableInfo.data.length >= 2) {
+                // Table rows are probabilities, so they only belong on the CDF view
+                const points = this.currentView === 'cdf' ? (tableInfo.points || []) : [];
+                points.forEach((point, rowIndex) => {
+                    markers.push({ key: `${tableId}:${rowIndex}`, tableId, rowIndex, point, curveIndex,
+                                   context: tableInfo.context || {} });
+                });
+                curveIndex++;
+            }
+        }
+        
+        const markerSelection = this.markerLayer.raise()
+            .selectAll(".point-marker")
+            .data(markers, d => d.key)
+            .join("circle")
+            .attr("class", "point-marker")
+            .attr("r", 4)
+            .attr("cx", d => this.xScale(d.point.x))
+            .attr("cy", d => this.yScale(this.transformY(d.point.y)))
+            .style("fill", d => this.getColor(d.curveIndex));
+        
+        if (this.pointDragHandler) {
+            markerSelection
+                .classed("draggable", true)
+                .call(d3.drag()
+                    .on("start", (event, d) => this._getMarker(d.key).classed("dragging", true))
+                    .on("drag", (event, d) => this._handlePointDrag(event, d))
+                    .on("end", (event, d) => {
+                        this._getMarker(d.key).classed("dragging", false);
+                        this.hideTooltip();
+                    }));
+        }
+    }
+    
+    /**
+     * Selection holding the marker for a table row
+     */
+    _getMarker(key) {
+        return this.markerLayer.selectAll(".point-marker").filter(d => d.key === key);
+    }
+    
+    /**
+     * Register handler(tableId, rowIndex, {x, y}) → accepted {x, y} | null for marker drags
+     */
+    setPointDragHandler(handler) {
+        this.pointDragHandler = handler;
+    }
+    
+    /**
+     * Convert the pointer position to chart space and let the handler clip it
+     */
+    _handlePointDrag(event, d) {
+        const x = Math.max(0, Math.min(1, this.xScale.invert(event.x)));
+        const transformedY = Math.max(0, Math.min(1, this.yScale.invert(event.y)));
+        const y = Math.pow(transformedY, this.currentExponent);
+        
+        const accepted = this.pointDragHandler(d.tableId, d.rowIndex, { x, y });
+        if (!accepted) {
+            return;
+        }
+        
+        const position = [this.xScale(accepted.x), this.yScale(this.transformY(accepted.y))];
+        d.point = accepted;
+        this._getMarker(d.key)
+            .attr("cx", position[0])
+            .attr("cy", position[1]);
+        
+        this.showCoordinateTooltip(event.sourceEvent, d.context, position);
+    }
+    
+    /**
+     * Line interpolation: smooth for CDFs, straight for rates (interpolation
+     * densities are steps, with repeated x values that monotone curves can't take)
+     */
+    _getCurveFactory() {
+        return this.currentView === 'cdf' ? d3.curveMonotoneX : d3.curveLinear;
+    }
+    
+    /**
+     * Divide rate values by a rounded maximum so they fit the [0,1] y scale
+     */
+    _scaleRateValues(tables) {
+        const values = Object.values(tables)
+            .flatMap(tableInfo => (tableInfo.data || []).map(point => point.y))
+            .filter(value => isFinite(value));
+        const maxValue = Math.max(0, ...values);
+        
+        this.valueMax = maxValue > 0 ? d3.nice(0, maxValue, 5)[1] : 1;
+        
+        const scaled = {};
+        for (const [tableId, tableInfo] of Object.entries(tables)) {
+            scaled[tableId] = {
+                ...tableInfo,
+                data: (tableInfo.data || []).map(point => ({ ...point, y: point.y / this.valueMax }))
+            };
+        }
+        return scaled;
+    }
+    
     /**
      * Add mouse interactions to curve
      */
@@ -937,12 +1117,21 @@ class ChartRenderer {
                 const line = d3.line()
                     .x(d => this.xScale(d.x))
                     .y(d => this.yScale(this.transformY(d.y)))
-                    .curve(d3.curveMonotoneX);
+                    .curve(this._getCurveFactory());
                 
                 // Update the path with new transformation
                 curve.attr("d", line);
             }
         });
+        
+        this.markerLayer.selectAll(".point-marker")
+            .attr("cy", d => this.yScale(this.transformY(d.point.y)));
+        
+        this.svg.selectAll(".residual-whisker")
+            .attr("y1", d => this.yScale(this.transformY(d.y)))
+            .attr("y2", d => this.yScale(this.transformY(d.y)));
+        
+        this.svg.selectAll(".conflict-region").attr("d", this._getConflictArea());
     }
 
     /**
@@ -1071,9 +1260,15 @@ class ChartRenderer {
      */
     updateYAxisWithAnimation() {
         const isTransformed = this.currentExponent > 1.1;
-        const linearTicks = [0, 0.2, 0.4, 0.6, 0.8, 1.0];
-        const transformedTicks = [0.01, 0.05, 0.1, 0.25, 0.5, 0.75, 1.0];
+        let linearTicks = [0, 0.2, 0.4, 0.6, 0.8, 1.0];
+        let transformedTicks = [0.01, 0.05, 0.1, 0.25, 0.5, 0.75, 1.0];
         const progress = (this.currentExponent - 1) / 1.5;
+        
+        // Rate views: round rates, as fractions of valueMax
+        if (this.currentView !== 'cdf') {
+            linearTicks = d3.ticks(0, this.valueMax, 5).map(value => value / this.valueMax);
+            transformedTicks = [0.01, 0.05, ...linearTicks.filter(tick => tick >= 0.1)];
+        }
 
         this.updateTickGroup("linear-ticks", linearTicks, 1 - progress);
         this.updateTickGroup("transformed-ticks", transformedTicks, progress);
@@ -1109,9 +1304,39 @@ class ChartRenderer {
                 .style("text-anchor", "end")
                 .style("font-size", "12px")
                 .style("fill", "#666")
-                .text(d3.format(".0%")(tickValue));
+                .text(this._formatYValue(tickValue));
         });
     }
+    
+    /**
+     * Format a y position for axes and tooltips in the current view
+     */
+    _formatYValue(value) {
+        if (this.currentView === 'cdf') {
+            return d3.format(".0%")(value);
+        }
+        return `${d3.format(".2~%")(value * this.valueMax)}/yr`;
+    }
+    
+    /**
+     * Y-axis title for rate views (the CDF view's percentages speak for themselves)
+     */
+    _updateYAxisTitle() {
+        this.svg.selectAll(".y-axis-title").remove();
+        
+        const titles = { density: "Probability density (per year)", hazard: "Hazard rate (per year)" };
+        if (!titles[this.currentView]) return;
+        
+        this.svg.append("text")
+            .attr("class", "y-axis-title")
+            .attr("transform", "rotate(-90)")
+            .attr("x", -this.chartHeight / 2)
+            .attr("y", -this.margin.left + 14)
+            .style("text-anchor", "middle")
+            .style("font-size", "12px")
+            .style("fill", "#666")
+            .text(titles[this.currentView]);
+    }
 
     // === TOOLTIP SYSTEM ===
     
@@ -1129,26 +1354,25 @@ class ChartRenderer {
     }
     
     /**
-     * Show coordinate tooltip with context awareness
+     * Show coordinate tooltip with context awareness (at the pointer unless a chart position is given)
      */
-    showCoordinateTooltip(event, tableContext) {
+    showCoordinateTooltip(event, tableContext, position = null) {
         const tooltip = document.getElementById("tooltip");
         if (!tooltip) return;
         
-        const [mouseX, mouseY] = d3.pointer(event);
+        const [mouseX, mouseY] = position || d3.pointer(event);
         const normalizedTime = this.xScale.invert(mouseX);
         const transformedProb = this.yScale.invert(mouseY);
         let probability = Math.pow(transformedProb, this.currentExponent);
+        const yValue = probability; // Before survival flipping (rates aren't flipped)
         
-        // Format time based on current axis mode
+        // Format time based on current axis mode and range
+        const years = this.conversionUtils.fromNormalized(normalizedTime, this.currentAxis);
         let timeStr;
         if (this.currentAxisMode === 'timeline') {
-            const year = 2025 + normalizedTime * (2065 - 2025);
-            const quarterRounded = Math.round(year * 4) / 4;
+            const quarterRounded = Math.round(years * 4) / 4;
             timeStr = quarterRounded.toString();
         } else {
-            // Convert back from normalized to duration (placeholder)
-            const years = Math.exp(Math.log(1/365.25) + normalizedTime * (Math.log(100) - Math.log(1/365.25)));
             timeStr = this._formatDuration(years);
         }
         
@@ -1162,10 +1386,14 @@ class ChartRenderer {
             (tableContext.tableId?.includes('doom') ? 'P(doom)' : 'P(misalignment)') : 
             'Probability';
 
+        const valueLine = this.currentView === 'cdf'
+            ? `${probabilityLabel}: <strong>${(probability * 100).toFixed(1)}%</strong>`
+            : `${this.currentView === 'hazard' ? 'Hazard rate' : 'Density'}: <strong>${this._formatYValue(yValue)}</strong>`;
+
         tooltip.innerHTML = `
             <div style="font-weight: bold; margin-bottom: 4px;">${tableName}</div>
             <div>Time: <strong>${timeStr}</strong></div>
-            <div>${probabilityLabel}: <strong>${(probability * 100).toFixed(1)}%</strong></div>
+            <div>${valueLine}</div>
         `;
         
         tooltip.style.left = (event.pageX + 10) + "px";
@@ -0,0 +1,171 @@
+/**
+ * Consistency Checker - Cross-table checks on fitted curves
+ *
+ * RESPONSIBILITY: Finds where related tables' fitted curves contradict each other
+ *
+ * CONSTRAINTS:
+ * - ONLY reads from TableManager (fitted curves, contexts), NEVER writes
+ * - NO DOM manipulation - results are plain objects for the coordinator to show
+ * - Relations are declared in SURVEY_CONFIG.consistency, not hardcoded
+ *
+ * INTERFACE:
+ * - getRelations(tableIds?): array - Declared relations, optionally only among tableIds
+ * - checkTables(tableIds): Promise<array> - Conflicts among the given tables
+ *
+ * RELATIONS (SURVEY_CONFIG.consistency):
+ * - orderings: [[tableId, ...]] - Chains of milestones that happen in order, so each
+ *   table's CDF must stay at or below the previous table's CDF at every time
+ * - constraints: [{left, relation: '<=' | '>=', right, message?}] - Displayed probabilities
+ *   (as the respondent entered them, so survival tables are not flipped) must satisfy
+ *   left <= right (or >=) at every time
+ * - tolerance: Probability difference ignored as noise (default 0.005)
+ *
+ * Every relation is normalized to "leftId's value <= rightId's value", where value is
+ * the CDF for orderings (left = later milestone) and the displayed probability for constraints.
+ *
+ * CONFLICT FORMAT:
+ * - {...relation, start, end, maxExcess, samples: [{years, leftCdf, rightCdf}]}
+ * - relation: {type: 'ordering' | 'constraint', leftId, rightId, space: 'cdf' | 'displayed',
+ *   earlierId?, laterId?, message?}
+ * - start/end are in years; maxExcess is the largest left - right value in the region
+ * - Only times inside both tables' axes are compared
+ */
+
+class ConsistencyChecker {
+    constructor(tableManager, config = {}) {
+        this.tableManager = tableManager;
+        this.orderings = config.orderings || [];
+        this.constraints = config.constraints || [];
+        this.tolerance = config.tolerance ?? 0.005;
+
+        // Times compared per relation, evenly spaced on the left table's axis
+        this.numSamples = 200;
+    }
+
+    /**
+     * Declared relations: consecutive tables of each ordering chain, then constraints
+     */
+    getRelations(tableIds = null) {
+        const relations = [];
+
+        for (const chain of this.orderings) {
+            for (let i = 1; i < chain.length; i++) {
+                relations.push({
+                    type: 'ordering',
+                    leftId: chain[i],
+                    rightId: chain[i - 1],
+                    space: 'cdf',
+                    earlierId: chain[i - 1],
+                    laterId: chain[i]
+                });
+            }
+        }
+
+        for (const constraint of this.constraints) {
+            if (constraint.relation !== '<=' && constraint.relation !== '>=') {
+                console.warn(`⚠️ Unknown constraint relation '${constraint.relation}' between ${constraint.left} and ${constraint.right}`);
+                continue;
+            }
+
+            const flipped = constraint.relation === '>=';
+            relations.push({
+                type: 'constraint',
+                leftId: flipped ? constraint.right : constraint.left,
+                rightId: flipped ? constraint.left : constraint.right,
+                space: 'displayed',
+                message: constraint.message
+            });
+        }
+
+        if (!tableIds) {
+            return relations;
+        }
+        return relations.filter(r => tableIds.includes(r.leftId) && tableIds.includes(r.rightId));
+    }
+
+    /**
+     * Conflicts for every declared relation between the given tables
+     * (tables without a fit are skipped)
+     */
+    async checkTables(tableIds) {
+        const conflicts = [];
+
+        for (const relation of this.getRelations(tableIds)) {
+            const [leftFit, rightFit] = await Promise.all([
+                this.tableManager.getFittedCurve(relation.leftId),
+                this.tableManager.getFittedCurve(relation.rightId)
+            ]);
+
+            if (leftFit && rightFit) {
+                conflicts.push(...this._findConflicts(relation, leftFit, rightFit));
+            }
+        }
+
+        return conflicts;
+    }
+
+    // === HELPERS ===
+
+    /**
+     * Contiguous runs of sampled times where the left table's value is above the right one's
+     */
+    _findConflicts(relation, leftFit, rightFit) {
+        const utils = this.tableManager.conversionUtils;
+        const distributionModule = this.tableManager.distributionModule;
+        const leftAxis = this._getAxis(relation.leftId);
+        const rightAxis = this._getAxis(relation.rightId);
+
+        // Shared time range, sampled in the left table's normalized space
+        const startYears = Math.max(utils.fromNormalized(0, leftAxis), utils.fromNormalized(0, rightAxis));
+        const endYears = Math.min(utils.fromNormalized(1, leftAxis), utils.fromNormalized(1, rightAxis));
+        if (!(endYears > startYears)) {
+            return [];
+        }
+
+        const x0 = utils.toNormalized(startYears, leftAxis);
+        const x1 = utils.toNormalized(endYears, leftAxis);
+        const value = (cdf, tableId) => relation.space === 'displayed' ? this._toDisplayed(cdf, tableId) : cdf;
+
+        const conflicts = [];
+        let current = null;
+
+        for (let i = 0; i <= this.numSamples; i++) {
+            const years = utils.fromNormalized(x0 + (x1 - x0) * i / this.numSamples, leftAxis);
+            const leftCdf = distributionModule.evaluateCdf(leftFit.distribution, utils.toNormalized(years, leftAxis));
+            const rightCdf = distributionModule.evaluateCdf(rightFit.distribution, utils.toNormalized(years, rightAxis));
+            const excess = value(leftCdf, relation.leftId) - value(rightCdf, relation.rightId);
+
+            if (excess > this.tolerance) {
+                if (!current) {
+                    current = { ...relation, start: years, end: years, maxExcess: 0, samples: [] };
+                    conflicts.push(current);
+                }
+                current.end = years;
+                current.maxExcess = Math.max(current.maxExcess, excess);
+                current.samples.push({ years, leftCdf, rightCdf });
+            } else {
+                current = null;
+            }
+        }
+
+        return conflicts;
+    }
+
+    /**
+     * Probability as shown to the respondent (survival tables store 1 - p)
+     */
+    _toDisplayed(cdf, tableId) {
+        return this.tableManager.getTableContext(tableId).isSurvival ? 1 - cdf : cdf;
+    }
+
+    /**
+     * Axis of a table (mode default when it has no explicit range)
+     */
+    _getAxis(tableId) {
+        const context = this.tableManager.getTableContext(tableId);
+        return this.tableManager.conversionUtils.resolveAxis(context.mode, context.axis);
+    }
+}
+
+// Export for module use
+window.ConsistencyChecker = ConsistencyChecker;
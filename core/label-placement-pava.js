@@ -13,6 +13,8 @@
  * INTERFACE:
  * - solveLabelPlacement(labels, bounds, options): Optimal y-positions
  * - animateToNewPositions(oldPositions, newPositions, duration): Smooth transition
+ * - isotonicRegression(values, options): Closest non-decreasing sequence (also used
+ *   by TableManager to repair CDF tables)
  * 
  * INPUT FORMAT:
  * - labels: [{desiredY, height, weight?, id?}] (sorted by desiredY ascending)
@@ -130,6 +132,22 @@ class LabelPlacementPAVA {
         return {x, L, U, s};
     }
 
+    /**
+     * Closest non-decreasing sequence to `values` in weighted least squares
+     * 
+     * @param {Array} values - numbers in order
+     * @param {Object} options - {weights?, lower?, upper?} (bounds apply to every value)
+     * @returns {Array} - non-decreasing values
+     */
+    isotonicRegression(values, options = {}) {
+        const n = values.length;
+        const w = options.weights || new Array(n).fill(1);
+        const L = new Array(n).fill(options.lower ?? -Infinity);
+        const U = new Array(n).fill(options.upper ?? Infinity);
+        
+        return this._boundedPAVA(values, L, U, w);
+    }
+
     /**
      * Bounded Pool Adjacent Violators Algorithm (PAVA)
      * 
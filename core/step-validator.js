@@ -0,0 +1,193 @@
+/**
+ * Step Validator
+ *
+ * RESPONSIBILITY: Decides whether a survey step's answers allow moving on
+ *
+ * CONSTRAINTS:
+ * - ONLY reads from TableManager and SurveyState, NEVER writes
+ * - NO DOM manipulation, NO navigation - results are plain objects
+ * - Rules are declared per step in SURVEY_CONFIG.steps[].validation
+ *
+ * INTERFACE:
+ * - validateStep(step): {valid, errors} - Run all rules declared by a step
+ * - registerRule(name, checkFn): void - Add or replace a rule implementation
+ *
+ * RULE FORMAT:
+ * - Config: {rule: 'minRows', ...options}
+ * - Implementation: (ruleConfig, step) => [{message, tableIds}] (empty if passing)
+ *
+ * BUILT-IN RULES:
+ * - minRows: {min} - Every table on the step has at least `min` rows
+ * - milestoneOrder: {tables} - Each table's CDF stays at or below the previous
+ *   table's CDF (later milestones can't be more likely by any time)
+ * - requiredComment: {minLength?} - Step comment is filled in
+ */
+
+class StepValidator {
+    constructor(tableManager, surveyState) {
+        this.tableManager = tableManager;
+        this.surveyState = surveyState;
+
+        // Rule name -> check function
+        this.rules = new Map();
+
+        this.registerRule('minRows', (ruleConfig, step) => this._checkMinRows(ruleConfig, step));
+        this.registerRule('milestoneOrder', (ruleConfig) => this._checkMilestoneOrder(ruleConfig));
+        this.registerRule('requiredComment', (ruleConfig, step) => this._checkRequiredComment(ruleConfig, step));
+    }
+
+    /**
+     * Register a rule implementation
+     */
+    registerRule(name, checkFn) {
+        this.rules.set(name, checkFn);
+    }
+
+    /**
+     * Validate a step (as returned by SurveyState.getCurrentItem)
+     */
+    validateStep(step) {
+        const errors = [];
+
+        for (const ruleConfig of step.validation || []) {
+            const checkFn = this.rules.get(ruleConfig.rule);
+
+            if (!checkFn) {
+                console.warn(`⚠️ Unknown validation rule '${ruleConfig.rule}' on step '${step.type}'`);
+                continue;
+            }
+
+            for (const error of checkFn(ruleConfig, step)) {
+                errors.push({ rule: ruleConfig.rule, tableIds: [], ...error });
+            }
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    // === BUILT-IN RULES ===
+
+    /**
+     * Every table on the step needs enough points to describe a curve
+     */
+    _checkMinRows(ruleConfig, step) {
+        const min = ruleConfig.min ?? 3;
+        const tableIds = step.item.tables ? step.item.tables.map(t => t.id) : [];
+
+        return tableIds
+            .filter(tableId => this.tableManager.getTableState(tableId).length < min)
+            .map(tableId => ({
+                message: `${this._getTitle(tableId)} needs at least ${min} rows`,
+                tableIds: [tableId]
+            }));
+    }
+
+    /**
+     * Later milestones can't be more likely than earlier ones at any time.
+     * Compares the piecewise-linear tables at every time where either has a point
+     * (in years, since tables may use different axis ranges).
+     */
+    _checkMilestoneOrder(ruleConfig) {
+        const tableIds = ruleConfig.tables || [];
+        const errors = [];
+
+        for (let i = 1; i < tableIds.length; i++) {
+            const earlierId = tableIds[i - 1];
+            const laterId = tableIds[i];
+            const earlier = this._getPointsInYears(earlierId);
+            const later = this._getPointsInYears(laterId);
+
+            if (earlier.length < 2 || later.length < 2) {
+                continue;
+            }
+
+            // Only compare where both tables are defined
+            const xMin = Math.max(earlier[0].x, later[0].x);
+            const xMax = Math.min(earlier[earlier.length - 1].x, later[later.length - 1].x);
+            const xs = [...earlier, ...later]
+                .map(point => point.x)
+                .filter(x => x >= xMin && x <= xMax)
+                .sort((a, b) => a - b);
+
+            const violationX = xs.find(x =>
+                this._interpolateY(later, x) > this._interpolateY(earlier, x) + 1e-9
+            );
+
+            if (violationX !== undefined) {
+                const laterContext = this.tableManager.getTableContext(laterId);
+                const timeStr = this.tableManager.formatTimeForDisplay(
+                    this._toNormalized(violationX, laterContext), laterContext
+                );
+                errors.push({
+                    message: `${this._getTitle(laterId)} can't be more likely than ${this._getTitle(earlierId)} by ${timeStr}`,
+                    tableIds: [earlierId, laterId]
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Step comment must be filled in
+     */
+    _checkRequiredComment(ruleConfig, step) {
+        const minLength = ruleConfig.minLength ?? 1;
+        const comment = this.surveyState.getCommentForStep(step.type).trim();
+
+        if (comment.length >= minLength) {
+            return [];
+        }
+
+        return [{ message: 'Please add a comment before continuing' }];
+    }
+
+    // === HELPERS ===
+
+    /**
+     * Table points with x converted from normalized space to years
+     */
+    _getPointsInYears(tableId) {
+        const context = this.tableManager.getTableContext(tableId);
+        const utils = this.tableManager.conversionUtils;
+
+        return this.tableManager.getTableState(tableId).map(point => ({
+            x: context.axis ? utils.fromNormalized(point.x, context.axis) : point.x,
+            y: point.y
+        }));
+    }
+
+    /**
+     * Years back to a table's normalized x
+     */
+    _toNormalized(years, context) {
+        return context.axis ? this.tableManager.conversionUtils.toNormalized(years, context.axis) : years;
+    }
+
+    /**
+     * Linear interpolation of y at x within sorted table points
+     */
+    _interpolateY(points, x) {
+        for (let i = 1; i < points.length; i++) {
+            const p0 = points[i - 1];
+            const p1 = points[i];
+
+            if (x <= p1.x) {
+                if (p1.x === p0.x) return p1.y;
+                return p0.y + (p1.y - p0.y) * (x - p0.x) / (p1.x - p0.x);
+            }
+        }
+
+        return points[points.length - 1].y;
+    }
+
+    /**
+     * Display title for a table
+     */
+    _getTitle(tableId) {
+        return this.tableManager.getTableContext(tableId).title || tableId;
+    }
+}
+
+// Export for module use
+window.StepValidator = StepValidator;
@@ -4,7 +4,8 @@
  * RESPONSIBILITY: Orchestrates all survey components and manages the UI
  * 
  * CONSTRAINTS:
- * - Owns and coordinates: SurveyState, TableManager, ChartRenderer
+ * - Owns and coordinates: SurveyState, TableManager, ChartRenderer, SurveyStorage, StepValidator,
+ *   SurveySubmitter, SurveyExportSchema, ConsistencyChecker
  * - Handles ALL user interactions and DOM events
  * - Manages card creation and UI updates
  * - Coordinates data flow: State → Tables → Chart
@@ -14,6 +15,11 @@
  * - SurveyState: "Where are we?" (step tracking)
  * - TableManager: "What data do we have?" (table CRUD)
  * - ChartRenderer: "How do we visualize?" (pure rendering)
+ * - SurveyStorage: "What survives a page reload?" (progress persistence)
+ * - StepValidator: "May we move on?" (per-step answer checks)
+ * - SurveySubmitter: "Did the responses reach the server?" (submission + retry queue)
+ * - SurveyExportSchema: "Can we read this export?" (versioned import format)
+ * - ConsistencyChecker: "Do the answers contradict each other?" (cross-table checks on fits)
  * - SurveyCoordinator: "When do we update what?" (orchestration)
  * 
  * DATA FLOW:
@@ -21,17 +27,29 @@
  * 
  * EVENTS HANDLED:
  * - Navigation button clicks (next/prev)
- * - Table cell edits
+ * - Table cell edits, keyboard navigation between cells and spreadsheet paste
  * - Add/remove row buttons
+ * - Undo/redo buttons and Ctrl+Z / Ctrl+Y (Ctrl+Shift+Z), in table cells once their text is committed
+ * - Point drags on the chart (via ChartRenderer's drag handler)
  * - Y-axis toggle button
+ * - Chart view select (probability / density / hazard rate)
+ * - Copy/Submit buttons on the final step
+ * - Browser 'online' event (retry queued submissions)
  * - Mobile modal interactions
  * 
  * EVENTS LISTENED TO:
  * - 'step-changed' from SurveyState
  * - 'table-changed' from TableManager
+ * - 'table-repaired' from TableManager (notice under the table)
+ * - 'comment-changed' from SurveyState (autosave, revalidation)
+ * - 'validation-changed' from SurveyState (Next button, table highlights)
  * - DOM events from UI elements
  */
 
+// Hazard samples where less survival probability than this remains are dropped:
+// the ratio explodes in the tail and would flatten every other curve
+const HAZARD_MIN_SURVIVAL = 0.01;
+
 class SurveyCoordinator {
     constructor() {
         console.log('🎛️ Initializing SurveyCoordinator');
@@ -40,9 +58,30 @@ class SurveyCoordinator {
         this.surveyState = new SurveyState();
         this.tableManager = new TableManager();  
         this.chartRenderer = new ChartRenderer('chart');
+        this.surveyStorage = new SurveyStorage();
+        this.stepValidator = new StepValidator(this.tableManager, this.surveyState);
+        this.surveyState.setValidator(step => this.stepValidator.validateStep(step));
+        this.surveySubmitter = new SurveySubmitter(SURVEY_CONFIG.submission);
+        this.exportSchema = new SurveyExportSchema();
+        this.consistencyChecker = new ConsistencyChecker(this.tableManager, SURVEY_CONFIG.consistency);
         
         // UI state
         this.currentCardsContainer = null;
+        this.tableNotices = {}; // tableId -> message shown on next table render
+        this.visualizationRequestId = 0; // Latest updateVisualization call; older ones don't render
+        this.chartView = 'cdf'; // 'cdf', 'density' or 'hazard' (hazard: survival tables only)
+        this.showResiduals = false; // Whiskers from raw points to the fitted curve
+        this.lastEditedTableId = null; // Keyboard undo target when focus isn't in a table
+        this.submissionId = null; // Id of this session's submission, reused by Retry Submit
+        this.preparedExport = null; // {promise, data} built when the final step opens
+        
+        // Autosave stays off until the respondent decides what to do with a
+        // previously saved snapshot, so neither initialization nor new work can
+        // overwrite it; work done before deciding goes to the draft slot
+        this.draftStorage = new SurveyStorage('cdf-survey-progress-draft');
+        this.savedProgress = this.surveyStorage.loadProgress();
+        this.autosaveEnabled = this.savedProgress === null;
+        this.initialized = false; // Changes before this are setup, not the respondent's work
         
         // Validation
         this.validateDependencies();
@@ -55,10 +94,18 @@ class SurveyCoordinator {
         
         // Show initial step
         this.showCurrentStep();
+        this.surveyState.revalidate();
+        
+        // Offer to resume a previous session
+        this.offerSavedProgress();
+        
+        // Deliver submissions that failed last time
+        this.retryQueuedSubmissions();
         
         // Check for mobile
         this.chartRenderer.checkMobileAndShowModal();
         
+        this.initialized = true;
         console.log('✅ SurveyCoordinator initialized');
     }
 
@@ -69,7 +116,8 @@ class SurveyCoordinator {
      */
     validateDependencies() {
         const required = [
-            'SURVEY_CONFIG', 'SurveyState', 'TableManager', 'ChartRenderer', 'd3'
+            'SURVEY_CONFIG', 'SurveyState', 'TableManager', 'ChartRenderer', 'SurveyStorage',
+            'StepValidator', 'SurveySubmitter', 'SurveyExportSchema', 'ConsistencyChecker', 'd3'
         ];
         
         for (const dep of required) {
@@ -81,34 +129,30 @@ class SurveyCoordinator {
     
     /**
      * Initialize default tables from survey config
+     * Table mode follows the axisMode of the step that shows the table;
+     * the axis range comes from the table config, else the step's
      */
     initializeDefaultTables() {
         console.log('📋 Initializing default tables from config');
         
-        
-        // AI Timeline tables
-        if (SURVEY_CONFIG.aiTimelinesCard?.tables) {
-            for (const tableConfig of SURVEY_CONFIG.aiTimelinesCard.tables) {
-                this.tableManager.initializeTable(tableConfig.id,
-                    tableConfig.defaultData,
-                    { 
-                        mode: 'timeline', 
-                        title: tableConfig.title,
-                        isSurvival: false
-                    }
-                );
+        for (const step of this.surveyState.getSteps()) {
+            if (!step.item.tables) {
+                continue;
             }
-        }
-        
-        // Doom Assessment tables
-        if (SURVEY_CONFIG.doomAssessmentCard?.tables) {
-            for (const tableConfig of SURVEY_CONFIG.doomAssessmentCard.tables) {
+            
+            for (const tableConfig of step.item.tables) {
                 this.tableManager.initializeTable(tableConfig.id,
                     tableConfig.defaultData,
                     { 
-                        mode: 'duration', 
+                        mode: step.axisMode || 'duration', 
                         title: tableConfig.title,
-                        isSurvival: true
+                        isSurvival: tableConfig.probabilityType === 'survival',
+                        elicitation: tableConfig.elicitation || 'free',
+                        quantiles: tableConfig.quantiles,
+                        axis: tableConfig.axis || step.axis,
+                        repairStrategy: tableConfig.repairStrategy,
+                        bounds: tableConfig.bounds,
+                        fit: tableConfig.fit
                     }
                 );
             }
@@ -128,11 +172,28 @@ class SurveyCoordinator {
             this.handleStepChanged(e.detail);
         });
         
+        this.surveyState.addEventListener('validation-changed', (e) => {
+            this.handleValidationChanged(e.detail);
+        });
+        
+        this.surveyState.addEventListener('comment-changed', () => {
+            this.surveyState.revalidate();
+        });
+        
         // Table manager events
         this.tableManager.addEventListener('table-changed', (e) => {
             this.handleTableChanged(e.detail);
         });
         
+        this.tableManager.addEventListener('table-repaired', (e) => {
+            this.handleTableRepaired(e.detail);
+        });
+        
+        // Chart point drags write back through TableManager
+        this.chartRenderer.setPointDragHandler((tableId, rowIndex, point) =>
+            this.handlePointDrag(tableId, rowIndex, point)
+        );
+        
         // Navigation buttons
         const nextBtn = document.getElementById('nextStep');
         const prevBtn = document.getElementById('prevStep');
@@ -150,11 +211,54 @@ class SurveyCoordinator {
             yToggleBtn.addEventListener('click', () => this.toggleYAxis());
         }
         
+        const chartViewSelect = document.getElementById('chartViewSelect');
+        if (chartViewSelect) {
+            chartViewSelect.addEventListener('change', () => this.setChartView(chartViewSelect.value));
+        }
+        
+        const residualToggle = document.getElementById('residualToggle');
+        if (residualToggle) {
+            residualToggle.addEventListener('change', () => this.setShowResiduals(residualToggle.checked));
+        }
+        
+        // Undo/redo shortcuts (editable cells keep the browser's own text undo)
+        document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
+        
         // Copy to clipboard
         const copyBtn = document.getElementById('copyToClipboard');
         if (copyBtn) {
             copyBtn.addEventListener('click', () => this.copyDataToClipboard());
         }
+        
+        // Submit to server (hidden when no endpoint is configured)
+        const submitBtn = document.getElementById('submitSurvey');
+        if (submitBtn) {
+            submitBtn.style.display = this.surveySubmitter.isEnabled() ? '' : 'none';
+            submitBtn.addEventListener('click', () => this.submitSurvey());
+        }
+        
+        // Connectivity came back - try the queue again
+        window.addEventListener('online', () => this.retryQueuedSubmissions());
+        
+        // Autosave on every progress change
+        this.surveyState.addEventListener('step-changed', () => this.saveProgress());
+        this.surveyState.addEventListener('comment-changed', () => this.saveProgress());
+        this.tableManager.addEventListener('table-changed', () => this.saveProgress());
+        
+        // A prepared export is stale once answers change
+        this.surveyState.addEventListener('comment-changed', () => this.invalidatePreparedExport());
+        this.tableManager.addEventListener('table-changed', () => this.invalidatePreparedExport());
+        
+        // Restore prompt buttons
+        const restoreBtn = document.getElementById('restoreProgressBtn');
+        const discardBtn = document.getElementById('discardProgressBtn');
+        
+        if (restoreBtn) {
+            restoreBtn.addEventListener('click', () => this.restoreSavedProgress());
+        }
+        if (discardBtn) {
+            discardBtn.addEventListener('click', () => this.discardSavedProgress());
+        }
     }
 
     // === EVENT HANDLERS ===
@@ -173,6 +277,9 @@ class SurveyCoordinator {
         
         // Update chart with new context
         this.updateVisualization();
+        
+        // Re-check answers for the new step
+        this.surveyState.revalidate();
     }
     
     /**
@@ -186,6 +293,57 @@ class SurveyCoordinator {
         
         // Update the specific table display
         this.updateTableDisplay(detail.tableId);
+        
+        // Table edits can fix or break step validation
+        this.surveyState.revalidate();
+    }
+    
+    /**
+     * Move a table point dragged on the chart; returns where it ended up (chart space)
+     */
+    handlePointDrag(tableId, rowIndex, point) {
+        const tableContext = this.tableManager.getTableContext(tableId);
+        const chartAxis = this.chartRenderer.currentAxis;
+        
+        // Chart shows survival curves as displayed (1 - stored CDF)
+        const [tablePoint] = this.toChartPoints([point], tableContext, chartAxis, true);
+        const accepted = this.tableManager.movePoint(tableId, rowIndex, tablePoint.x, tablePoint.y);
+        this.lastEditedTableId = tableId;
+        
+        return accepted ? this.toChartPoints([accepted], tableContext, chartAxis)[0] : null;
+    }
+    
+    /**
+     * Handle monotonicity repairs from TableManager
+     */
+    handleTableRepaired(detail) {
+        const count = detail.repairs.length;
+        this.tableNotices[detail.tableId] = count === 1
+            ? 'Adjusted 1 probability so the curve never decreases over time'
+            : `Adjusted ${count} probabilities so the curve never decreases over time`;
+    }
+    
+    /**
+     * Handle validation results from SurveyState
+     */
+    handleValidationChanged(detail) {
+        const nextButton = document.getElementById("nextStep");
+        const tooltip = document.getElementById("nextTooltip");
+        
+        if (nextButton) {
+            nextButton.disabled = this.surveyState.isComplete() || !detail.valid;
+        }
+        
+        if (tooltip) {
+            if (detail.valid) {
+                tooltip.style.display = "none";
+            } else {
+                tooltip.innerHTML = detail.errors.map(error => error.message).join('<br>');
+                tooltip.style.display = "block";
+            }
+        }
+        
+        this.highlightInvalidTables(detail.errors);
     }
 
     // === NAVIGATION ===
@@ -237,6 +395,31 @@ class SurveyCoordinator {
         }
     }
 
+    /**
+     * Mark table cards named in validation errors and show their messages
+     */
+    highlightInvalidTables(errors) {
+        const messagesByTable = {};
+        for (const error of errors) {
+            for (const tableId of error.tableIds) {
+                (messagesByTable[tableId] = messagesByTable[tableId] || []).push(error.message);
+            }
+        }
+        
+        for (const tableId of this.tableManager.getAllTableIds()) {
+            const container = document.getElementById(`table-${tableId}-container`);
+            if (!container) continue;
+            
+            const messages = messagesByTable[tableId] || [];
+            container.closest('.card')?.classList.toggle('table-invalid', messages.length > 0);
+            
+            const messageEl = document.getElementById(`validation-${tableId}`);
+            if (messageEl) {
+                messageEl.textContent = messages.join(' ');
+            }
+        }
+    }
+
     // === UI CREATION ===
     
     /**
@@ -258,6 +441,7 @@ class SurveyCoordinator {
         
         switch (currentItem.type) {
             case "intro":
+            case "info":
                 this.createInfoCards(currentItem.item);
                 break;
             case "aiTimelines":
@@ -346,6 +530,9 @@ class SurveyCoordinator {
             this.createTableStructure(tableId, tableCard.querySelector(`#table-${tableId}-container`));
         }
         
+        // Conflicts between milestones, filled in by updateVisualization
+        this.createConsistencyCard(tableIds);
+        
         // Comment card if enabled
         if (item.commentBox?.enabled) {
             this.createCommentCard(item.commentBox);
@@ -376,6 +563,9 @@ class SurveyCoordinator {
             this.createTableStructure(tableId, tableCard.querySelector(`#table-${tableId}-container`));
         }
         
+        // Warnings for configured constraints between the tables, filled in by updateVisualization
+        this.createConsistencyCard(tableIds);
+        
         // Comment card if enabled
         if (item.commentBox?.enabled) {
             this.createCommentCard(item.commentBox);
@@ -383,18 +573,208 @@ class SurveyCoordinator {
     }
     
     /**
-     * Create review cards
+     * Card listing cross-table conflicts; only created when relations are declared
+     * among the tables, and hidden while there are no conflicts
      */
-    createReviewCards(item) {
+    createConsistencyCard(tableIds) {
+        if (this.consistencyChecker.getRelations(tableIds).length === 0) {
+            return;
+        }
+        
         const card = document.createElement('div');
-        card.className = 'card';
+        card.className = 'card consistency-card';
+        card.id = 'consistency-card';
+        card.style.display = 'none';
         card.innerHTML = `
-            <h4>Review Your Responses</h4>
-            <p>All your survey responses are displayed in the chart above.</p>
+            <h4>Conflicting answers</h4>
+            <ul id="consistency-list"></ul>
         `;
         this.currentCardsContainer.appendChild(card);
     }
     
+    /**
+     * List conflicts in the consistency card (if the current step has one)
+     */
+    updateConsistencyCard(conflicts) {
+        const card = document.getElementById('consistency-card');
+        const list = document.getElementById('consistency-list');
+        if (!card || !list) {
+            return;
+        }
+        
+        card.style.display = conflicts.length > 0 ? 'block' : 'none';
+        list.innerHTML = conflicts.map(conflict => `<li>${this.formatConflict(conflict)}</li>`).join('');
+    }
+    
+    /**
+     * "ASI is more likely than SC between 2041 and 2052 (by up to 8 percentage points) ..."
+     */
+    formatConflict(conflict) {
+        const leftContext = this.tableManager.getTableContext(conflict.leftId);
+        const rightContext = this.tableManager.getTableContext(conflict.rightId);
+        const start = this.tableManager.formatYearsForDisplay(conflict.start, leftContext);
+        const end = this.tableManager.formatYearsForDisplay(conflict.end, leftContext);
+        const when = start === end ? `around ${start}` : `between ${start} and ${end}`;
+        const points = Math.max(1, Math.round(conflict.maxExcess * 100));
+        const by = `(by up to ${points} percentage point${points === 1 ? '' : 's'})`;
+        
+        if (conflict.type === 'ordering') {
+            return `<strong>${leftContext.title}</strong> is more likely than <strong>${rightContext.title}</strong> ` +
+                   `${when} ${by}, but can't arrive first`;
+        }
+        
+        const text = `<strong>${leftContext.title}</strong> is above <strong>${rightContext.title}</strong> ${when} ${by}`;
+        return conflict.message ? `${text}. ${conflict.message}` : text;
+    }
+    
+    /**
+     * Create review cards: one summary card per table plus step comments
+     */
+    createReviewCards(item) {
+        // Instructions card
+        this.createInfoCards(item);
+        
+        for (const tableId of this.tableManager.getAllTableIds()) {
+            const tableContext = this.tableManager.getTableContext(tableId);
+            const stepIndex = this.getStepIndexForTable(tableId);
+            
+            const tableCard = document.createElement('div');
+            tableCard.className = 'card review-card';
+            tableCard.innerHTML = `
+                <h4>${tableContext.title || tableId}</h4>
+                <table class="review-summary">
+                    <tr><td>10th percentile</td><td id="review-${tableId}-p10">…</td></tr>
+                    <tr><td>Median</td><td id="review-${tableId}-p50">…</td></tr>
+                    <tr><td>90th percentile</td><td id="review-${tableId}-p90">…</td></tr>
+                </table>
+                <div class="table-status" id="status-${tableId}" style="font-size: 11px; color: #666; margin-top: 5px;">
+                    Fitting curve...
+                </div>
+            `;
+            
+            if (stepIndex >= 0) {
+                tableCard.appendChild(this.createStepLink(stepIndex, 'Edit'));
+            }
+            
+            this.currentCardsContainer.appendChild(tableCard);
+        }
+        
+        // Comments from every step that asks for them
+        const commentSteps = this.surveyState.getSteps()
+            .map((step, index) => ({ step, index }))
+            .filter(({ step }) => step.item.commentBox?.enabled);
+        
+        if (commentSteps.length > 0) {
+            const commentsCard = document.createElement('div');
+            commentsCard.className = 'card review-card';
+            commentsCard.innerHTML = '<h4>Your Comments</h4>';
+            
+            for (const { step, index } of commentSteps) {
+                const comment = this.surveyState.getCommentForStep(step.type);
+                const section = document.createElement('div');
+                section.className = 'review-comment';
+                section.innerHTML = `<strong>${step.item.title}</strong><p></p>`;
+                section.querySelector('p').textContent = comment || 'No comment';
+                section.appendChild(this.createStepLink(index, 'Edit'));
+                commentsCard.appendChild(section);
+            }
+            
+            this.currentCardsContainer.appendChild(commentsCard);
+        }
+        
+        this.updateReviewSummaries().catch(error => {
+            console.error('❌ Failed to summarize fitted curves:', error);
+            this.showReviewSummaryError();
+        });
+    }
+    
+    /**
+     * Create a link that jumps back to a survey step
+     */
+    createStepLink(stepIndex, label) {
+        const step = this.surveyState.getCurrentItemForStep(stepIndex);
+        const link = document.createElement('a');
+        link.href = '#';
+        link.className = 'review-edit-link';
+        link.textContent = `${label} on "${step.item.title}" page`;
+        link.addEventListener('click', (event) => {
+            event.preventDefault();
+            this.surveyState.goToStep(stepIndex);
+        });
+        return link;
+    }
+    
+    /**
+     * Fill review cards with percentiles and fit status of each fitted curve
+     */
+    async updateReviewSummaries() {
+        const percentiles = { p10: 0.1, p50: 0.5, p90: 0.9 };
+        
+        for (const tableId of this.tableManager.getAllTableIds()) {
+            const fittedCurve = await this.tableManager.getFittedCurve(tableId);
+            const tableContext = this.tableManager.getTableContext(tableId);
+            
+            for (const [key, probability] of Object.entries(percentiles)) {
+                const cell = document.getElementById(`review-${tableId}-${key}`);
+                if (cell) {
+                    cell.textContent = fittedCurve
+                        ? this.formatQuantile(fittedCurve.distribution, probability, tableContext)
+                        : '—';
+                }
+            }
+            
+            const statusEl = document.getElementById(`status-${tableId}`);
+            if (statusEl) {
+                if (fittedCurve) {
+                    this.showFitStatus(statusEl, fittedCurve, tableContext);
+                } else {
+                    statusEl.textContent = 'No fit available (needs at least 2 rows)';
+                    statusEl.style.color = '#ff9800';
+                }
+            }
+        }
+    }
+    
+    /**
+     * Mark review cards still waiting for a summary as failed
+     */
+    showReviewSummaryError() {
+        for (const tableId of this.tableManager.getAllTableIds()) {
+            let pending = false;
+            for (const key of ['p10', 'p50', 'p90']) {
+                const cell = document.getElementById(`review-${tableId}-${key}`);
+                if (cell && cell.textContent === '…') {
+                    cell.textContent = '—';
+                    pending = true;
+                }
+            }
+            
+            const statusEl = document.getElementById(`status-${tableId}`);
+            if (statusEl && pending) {
+                statusEl.textContent = 'Could not summarize this curve';
+                statusEl.style.color = '#d32f2f';
+            }
+        }
+    }
+    
+    /**
+     * Format the time at which a fitted CDF reaches a probability
+     */
+    formatQuantile(distribution, probability, tableContext) {
+        const x = this.tableManager.distributionModule.evaluate(distribution, probability);
+        
+        if (x === null || !isFinite(x)) {
+            return '—';
+        }
+        if (x < 0) {
+            return `before ${this.tableManager.formatTimeForDisplay(0, tableContext)}`;
+        }
+        if (x > 1) {
+            return `after ${this.tableManager.formatTimeForDisplay(1, tableContext)}`;
+        }
+        return this.tableManager.formatTimeForDisplay(x, tableContext);
+    }
+    
     /**
      * Create comment card
      */
@@ -441,6 +821,10 @@ class SurveyCoordinator {
         if (completeDiv) {
             completeDiv.style.display = "block";
         }
+        
+        // Fits (and so the consistency checks) can take a while; have the export
+        // ready before the respondent clicks Copy or Submit
+        this.prepareExport();
     }
 
     // === TABLE UI MANAGEMENT ===
@@ -463,10 +847,20 @@ class SurveyCoordinator {
                         <!-- Table rows will be populated by updateTableDisplay -->
                     </tbody>
                 </table>
-                <button class="button" onclick="surveyCoordinator.addRow('${tableId}')">Add Row</button>
+                <div class="table-actions">
+                    <button class="button add-row-btn" id="addrow-${tableId}" title="Add Row (Ctrl+Enter in a cell)" onclick="surveyCoordinator.addRow('${tableId}')">Add Row</button>
+                    <button class="button history-btn" id="undo-${tableId}" title="Undo (Ctrl+Z)" onclick="surveyCoordinator.undo('${tableId}')">Undo</button>
+                    <button class="button history-btn" id="redo-${tableId}" title="Redo (Ctrl+Y)" onclick="surveyCoordinator.redo('${tableId}')">Redo</button>
+                </div>
                 <div class="table-status" id="status-${tableId}" style="font-size: 11px; color: #666; margin-top: 5px;">
                     <!-- Fit status will be displayed here -->
                 </div>
+                <div class="table-validation" id="validation-${tableId}">
+                    <!-- Validation messages will be displayed here -->
+                </div>
+                <div class="table-notice" id="notice-${tableId}">
+                    <!-- Automatic adjustments will be noted here -->
+                </div>
             </div>
         `;
         
@@ -490,6 +884,9 @@ class SurveyCoordinator {
         // Clear existing rows
         tbody.innerHTML = "";
         
+        // Quantile tables have fixed probabilities
+        const probEditable = tableContext.elicitation !== 'quantile';
+        
         // Render rows from state
         tableData.forEach((point, index) => {
             const timeStr = this.tableManager.formatTimeForDisplay(point.x, tableContext);
@@ -498,17 +895,40 @@ class SurveyCoordinator {
             const row = document.createElement("tr");
             row.dataset.row = index;
             row.innerHTML = `
-                <td class="time-cell" contenteditable="true" data-type="time" 
+                <td class="time-cell" contenteditable="true" data-type="time" data-rendered="${timeStr}"
                     onblur="surveyCoordinator.handleCellEdit(this, '${tableId}')"
-                    onkeydown="if(event.key==='Enter'){event.preventDefault();this.blur();}">${timeStr}</td>
-                <td class="prob-cell" contenteditable="true" data-type="probability" 
+                    onkeydown="surveyCoordinator.handleCellKeydown(event, this, '${tableId}')"
+                    onpaste="surveyCoordinator.handleCellPaste(event, this, '${tableId}')">${timeStr}</td>
+                <td class="prob-cell${probEditable ? '' : ' locked'}" contenteditable="${probEditable}" data-type="probability" data-rendered="${probStr}"
                     onblur="surveyCoordinator.handleCellEdit(this, '${tableId}')"
-                    onkeydown="if(event.key==='Enter'){event.preventDefault();this.blur();}">${probStr}</td>
+                    onkeydown="surveyCoordinator.handleCellKeydown(event, this, '${tableId}')"
+                    onpaste="surveyCoordinator.handleCellPaste(event, this, '${tableId}')">${probStr}</td>
                 <td><button class="remove-btn" onclick="surveyCoordinator.removeRow('${tableId}', ${index})">×</button></td>
             `;
             
             tbody.appendChild(row);
         });
+        
+        const addRowBtn = document.getElementById(`addrow-${tableId}`);
+        if (addRowBtn) {
+            addRowBtn.disabled = !this.tableManager.canAddRow(tableId);
+        }
+        
+        const undoBtn = document.getElementById(`undo-${tableId}`);
+        const redoBtn = document.getElementById(`redo-${tableId}`);
+        if (undoBtn) {
+            undoBtn.disabled = !this.tableManager.canUndo(tableId);
+        }
+        if (redoBtn) {
+            redoBtn.disabled = !this.tableManager.canRedo(tableId);
+        }
+        
+        // Notices last until the next change
+        const noticeEl = document.getElementById(`notice-${tableId}`);
+        if (noticeEl) {
+            noticeEl.textContent = this.tableNotices[tableId] || '';
+        }
+        delete this.tableNotices[tableId];
     }
 
     // === TABLE INTERACTION HANDLERS ===
@@ -517,17 +937,28 @@ class SurveyCoordinator {
      * Handle cell edit completion
      */
     handleCellEdit(cell, tableId) {
+        // Cells removed by a re-render (paste, undo) have nothing left to commit
+        if (!cell.isConnected) {
+            return;
+        }
+        
         const value = cell.textContent.trim();
         const type = cell.dataset.type;
+        
+        // Leaving a cell without typing must not re-parse its rounded display text
+        if (value === cell.dataset.rendered) {
+            return;
+        }
         const row = cell.closest("tr");
         const rowIndex = parseInt(row.dataset.row);
         
         console.log(`🔧 Cell edit: ${tableId}[${rowIndex}].${type} = "${value}"`);
         
         // Attempt update through table manager
-        const success = this.tableManager.updateCell(tableId, rowIndex, type === 'time' ? 'x' : 'y', value);
+        const result = this.tableManager.updateCell(tableId, rowIndex, type === 'time' ? 'x' : 'y', value);
+        this.lastEditedTableId = tableId;
         
-        if (!success) {
+        if (result.status === 'rejected') {
             // Revert cell to original value
             const tableData = this.tableManager.getTableState(tableId);
             const tableContext = this.tableManager.getTableContext(tableId);
@@ -540,6 +971,196 @@ class SurveyCoordinator {
                 }
             }
         }
+        
+        // Say why the cell doesn't show what was typed (clipped edits re-rendered the table)
+        if (result.status !== 'accepted') {
+            this.showCellFeedback(tableId, result.rowIndex ?? rowIndex, type, result);
+        }
+    }
+    
+    /**
+     * Highlight a cell whose edit was clipped or rejected and say why in a row under it
+     * (one message per table; the next re-render clears it)
+     */
+    showCellFeedback(tableId, rowIndex, type, result) {
+        const tbody = document.getElementById(`tbody-${tableId}`);
+        const row = tbody ? tbody.querySelector(`tr[data-row="${rowIndex}"]`) : null;
+        const cell = row ? row.querySelector(`td[data-type="${type}"]`) : null;
+        if (!cell) {
+            return;
+        }
+        
+        tbody.querySelectorAll('.cell-message-row').forEach(el => el.remove());
+        tbody.querySelectorAll('.cell-clipped, .cell-rejected').forEach(el => {
+            el.classList.remove('cell-clipped', 'cell-rejected');
+            el.removeAttribute('title');
+        });
+        
+        cell.classList.add(`cell-${result.status}`);
+        cell.title = result.reason;
+        
+        const messageRow = document.createElement("tr");
+        messageRow.className = 'cell-message-row';
+        messageRow.innerHTML = `<td colspan="3" class="cell-message cell-message-${result.status}"></td>`;
+        messageRow.firstChild.textContent = result.reason;
+        row.after(messageRow);
+    }
+    
+    /**
+     * Spreadsheet keys in a table cell: Enter/Shift+Enter move down/up, Tab/Shift+Tab
+     * move through editable cells, arrows move when the caret is at the cell's edge
+     * (Up/Down always), Ctrl/Cmd+Enter adds a row. Moving commits the edit.
+     */
+    handleCellKeydown(event, cell, tableId) {
+        const rowIndex = parseInt(cell.closest("tr").dataset.row);
+        const type = cell.dataset.type;
+        
+        if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+            event.preventDefault();
+            cell.blur();
+            this.insertRowFromKeyboard(tableId);
+            return;
+        }
+        
+        let target = null;
+        switch (event.key) {
+            case 'Enter':
+                target = { row: rowIndex + (event.shiftKey ? -1 : 1), type };
+                break;
+            case 'ArrowDown':
+                target = { row: rowIndex + 1, type };
+                break;
+            case 'ArrowUp':
+                target = { row: rowIndex - 1, type };
+                break;
+            case 'Tab':
+                target = this.getAdjacentCell(tableId, rowIndex, type, event.shiftKey ? -1 : 1);
+                if (!target) {
+                    return; // Leave the table the usual way
+                }
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight': {
+                const forward = event.key === 'ArrowRight';
+                if (!this.isCaretAtEdge(cell, forward)) {
+                    return; // Move within the text
+                }
+                target = this.getAdjacentCell(tableId, rowIndex, type, forward ? 1 : -1);
+                if (!target) {
+                    return;
+                }
+                break;
+            }
+            default:
+                return;
+        }
+        
+        // Enter past the first/last row just finishes the edit; arrows stay put
+        const rowCount = this.tableManager.getTableState(tableId).length;
+        if ((target.row < 0 || target.row >= rowCount) && event.key !== 'Enter') {
+            return;
+        }
+        
+        event.preventDefault();
+        cell.blur(); // Commits the edit (and may re-render the table)
+        this.focusCell(tableId, target.row, target.type);
+    }
+    
+    /**
+     * Next/previous editable cell in reading order, or null at either end of the table
+     */
+    getAdjacentCell(tableId, rowIndex, type, direction) {
+        const tbody = document.getElementById(`tbody-${tableId}`);
+        const cells = tbody ? [...tbody.querySelectorAll('td[contenteditable="true"]')] : [];
+        const index = cells.findIndex(cell =>
+            parseInt(cell.closest("tr").dataset.row) === rowIndex && cell.dataset.type === type);
+        const next = index === -1 ? null : cells[index + direction];
+        
+        return next ? { row: parseInt(next.closest("tr").dataset.row), type: next.dataset.type } : null;
+    }
+    
+    /**
+     * Whether the caret sits at the start (or end, if forward) of a cell with nothing selected
+     */
+    isCaretAtEdge(cell, forward) {
+        const selection = window.getSelection();
+        if (!selection || selection.rangeCount === 0 || !selection.isCollapsed) {
+            return false;
+        }
+        
+        const range = selection.getRangeAt(0);
+        const before = document.createRange();
+        before.selectNodeContents(cell);
+        before.setEnd(range.startContainer, range.startOffset);
+        const offset = before.toString().length;
+        
+        return forward ? offset === cell.textContent.length : offset === 0;
+    }
+    
+    /**
+     * Focus a table cell and select its text (no-op if there is no such editable cell)
+     */
+    focusCell(tableId, rowIndex, type) {
+        const cell = document.querySelector(
+            `#tbody-${tableId} tr[data-row="${rowIndex}"] td[data-type="${type}"][contenteditable="true"]`);
+        if (!cell) {
+            return;
+        }
+        
+        cell.focus();
+        const range = document.createRange();
+        range.selectNodeContents(cell);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+    
+    /**
+     * Add a row from the keyboard and put the cursor in its time cell
+     */
+    insertRowFromKeyboard(tableId) {
+        const before = this.tableManager.getTableState(tableId);
+        this.addRow(tableId);
+        
+        const after = this.tableManager.getTableState(tableId);
+        const newIndex = after.findIndex(point => !before.some(old => old.x === point.x));
+        if (newIndex !== -1) {
+            this.focusCell(tableId, newIndex, 'time');
+        }
+    }
+    
+    /**
+     * Paste into a table cell: rows of time/probability pairs (from a spreadsheet or
+     * CSV) are merged into the table; a single value is pasted as plain text
+     */
+    handleCellPaste(event, cell, tableId) {
+        const text = event.clipboardData ? event.clipboardData.getData('text/plain') : '';
+        const rows = this.tableManager.conversionUtils.splitPastedRows(text);
+        event.preventDefault(); // Never paste spreadsheet HTML into the cell
+        
+        if (rows.length <= 1 && (rows[0] || []).length <= 1) {
+            document.execCommand('insertText', false, text.trim());
+            return;
+        }
+        
+        cell.blur(); // Commit (or drop) whatever was typed before pasting
+        const { pasted, skipped } = this.tableManager.pasteRows(tableId, text);
+        this.lastEditedTableId = tableId;
+        
+        const skippedText = skipped
+            .map(skip => skip.line === null ? skip.reason : `line ${skip.line}: ${skip.reason}`)
+            .join('; ');
+        const message = pasted > 0
+            ? `Pasted ${pasted} ${pasted === 1 ? 'row' : 'rows'}${skipped.length > 0 ? ` (skipped ${skippedText})` : ''}`
+            : `Nothing pasted (${skippedText || 'no rows found'})`;
+        
+        // Added to any repair notice the paste's re-render already showed
+        const noticeEl = document.getElementById(`notice-${tableId}`);
+        if (noticeEl) {
+            noticeEl.textContent = pasted > 0 && noticeEl.textContent
+                ? `${message}. ${noticeEl.textContent}`
+                : message;
+        }
     }
     
     /**
@@ -548,6 +1169,7 @@ class SurveyCoordinator {
     addRow(tableId) {
         console.log(`➕ Adding row to ${tableId}`);
         this.tableManager.addRow(tableId);
+        this.lastEditedTableId = tableId;
     }
     
     /**
@@ -556,6 +1178,88 @@ class SurveyCoordinator {
     removeRow(tableId, rowIndex) {
         console.log(`➖ Removing row ${rowIndex} from ${tableId}`);
         this.tableManager.deleteRow(tableId, rowIndex);
+        this.lastEditedTableId = tableId;
+    }
+    
+    /**
+     * Undo the table's last edit
+     */
+    undo(tableId) {
+        if (this.tableManager.undo(tableId)) {
+            console.log(`↩️ Undid last edit to ${tableId}`);
+            this.lastEditedTableId = tableId;
+        }
+    }
+    
+    /**
+     * Redo the table's last undone edit
+     */
+    redo(tableId) {
+        if (this.tableManager.redo(tableId)) {
+            console.log(`↪️ Redid edit to ${tableId}`);
+            this.lastEditedTableId = tableId;
+        }
+    }
+    
+    /**
+     * Ctrl/Cmd+Z undoes, Ctrl+Y or Ctrl/Cmd+Shift+Z redoes - on the table holding focus
+     * (from a cell only while its text is unedited), else the last edited table if it's
+     * on the current step
+     */
+    handleHistoryShortcut(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+            return;
+        }
+        
+        const key = event.key.toLowerCase();
+        const isUndo = key === 'z' && !event.shiftKey;
+        const isRedo = key === 'y' || (key === 'z' && event.shiftKey);
+        if (!isUndo && !isRedo) {
+            return;
+        }
+        
+        // Text being typed has its own undo; a table cell that still shows its
+        // rendered value has nothing to undo, so the table history gets the keys
+        const target = event.target;
+        const editable = target && target.closest ? target.closest('input, textarea, select, [contenteditable="true"]') : null;
+        const untouchedCell = editable && editable.dataset.rendered !== undefined &&
+                              editable.textContent.trim() === editable.dataset.rendered ? editable : null;
+        if (editable && !untouchedCell) {
+            return;
+        }
+        
+        const tableId = this.getHistoryTarget(target);
+        if (!tableId) {
+            return;
+        }
+        
+        event.preventDefault();
+        if (isUndo) {
+            this.undo(tableId);
+        } else {
+            this.redo(tableId);
+        }
+        
+        // The table re-rendered; keep the cursor where it was
+        if (untouchedCell && !untouchedCell.isConnected) {
+            this.focusCell(tableId, parseInt(untouchedCell.closest("tr").dataset.row), untouchedCell.dataset.type);
+        }
+    }
+    
+    /**
+     * Table a keyboard undo/redo applies to (null if none is on screen)
+     */
+    getHistoryTarget(target) {
+        const focusedTable = target && target.closest ? target.closest('.metalog-table-container') : null;
+        const focusedTbody = focusedTable ? focusedTable.querySelector('tbody[id^="tbody-"]') : null;
+        if (focusedTbody) {
+            return focusedTbody.id.slice('tbody-'.length);
+        }
+        
+        if (this.lastEditedTableId && document.getElementById(`tbody-${this.lastEditedTableId}`)) {
+            return this.lastEditedTableId;
+        }
+        return null;
     }
 
     // === CHART MANAGEMENT ===
@@ -564,11 +1268,24 @@ class SurveyCoordinator {
      * Update chart visualization with current data
      */
     async updateVisualization() {
+        const requestId = ++this.visualizationRequestId;
         const currentItem = this.surveyState.getCurrentItem();
         console.log(`🎨 Updating visualization for ${currentItem.type}`);
         
+        // Axis mode and range come from the step definition
+        const axisMode = currentItem.axisMode || 'duration';
+        const chartAxis = this.tableManager.conversionUtils.resolveAxis(axisMode, currentItem.axis);
+        
         // Determine which tables to show based on current step
-        const tablesToShow = this.getTablesForCurrentStep(currentItem.type);
+        // (one chart has one time axis, so tables on a different axis are skipped)
+        let tablesToShow = this.getTablesForCurrentStep(currentItem.type)
+            .filter(tableId => this.tableManager.getTableContext(tableId).mode === axisMode);
+        
+        // Hazard rates are only offered for survival tables
+        const view = this.updateChartViewOptions(tablesToShow);
+        if (view === 'hazard') {
+            tablesToShow = tablesToShow.filter(tableId => this.tableManager.getTableContext(tableId).isSurvival);
+        }
         
         // Prepare chart data with fitted curves
         const chartData = {};
@@ -580,9 +1297,22 @@ class SurveyCoordinator {
                 // Get fitted curve data
                 const fittedCurve = await this.tableManager.getFittedCurve(tableId);
                 
-                if (fittedCurve) {
+                if (fittedCurve && view !== 'cdf') {
+                    chartData[tableId] = {
+                        data: this.getRateCurve(fittedCurve.densityData, tableContext, chartAxis, view),
+                        context: {
+                            ...tableContext,
+                            fitStatus: fittedCurve.fitStatus,
+                            fitType: fittedCurve.fitType
+                        }
+                    };
+                } else if (fittedCurve) {
                     chartData[tableId] = {
-                        data: fittedCurve.plotData, // Use fitted curve points
+                        data: this.projectToAxis(fittedCurve.plotData, tableContext.axis, chartAxis),
+                        points: this.toChartPoints(rawData, tableContext, chartAxis),
+                        residuals: this.showResiduals
+                            ? this.toChartResiduals(fittedCurve.residuals, tableContext, chartAxis)
+                            : null,
                         context: {
                             ...tableContext,
                             fitStatus: fittedCurve.fitStatus,
@@ -592,7 +1322,8 @@ class SurveyCoordinator {
                 } else {
                     // Fallback to raw data if fitting fails
                     chartData[tableId] = {
-                        data: rawData,
+                        data: this.toChartPoints(rawData, tableContext, chartAxis),
+                        points: this.toChartPoints(rawData, tableContext, chartAxis),
                         context: {
                             ...tableContext,
                             fitStatus: 'No fit available',
@@ -603,15 +1334,149 @@ class SurveyCoordinator {
             }
         }
         
-        // Determine axis mode based on step type
-        const axisMode = currentItem.type === 'aiTimelines' ? 'timeline' : 'duration';
+        // Cross-table conflicts on the fitted curves (shaded in the probability view only)
+        const conflicts = await this.consistencyChecker.checkTables(tablesToShow);
+        
+        // A newer call (e.g. the next drag step) started while we were fitting
+        if (requestId !== this.visualizationRequestId) {
+            return;
+        }
         
         // Render chart
-        this.chartRenderer.renderChart(chartData, { axisMode });
+        this.chartRenderer.renderChart(chartData, {
+            axisMode,
+            axis: chartAxis,
+            view,
+            conflicts: view === 'cdf' ? this.toChartConflicts(conflicts, chartAxis) : []
+        });
+        this.updateConsistencyCard(conflicts);
         
         // Update fit status displays in tables
         this.updateFitStatusDisplays(tablesToShow);
     }
+    
+    /**
+     * Density or hazard rate per year along a table's time axis, positioned on the chart axis
+     * (hazard stops where survival falls below HAZARD_MIN_SURVIVAL)
+     */
+    getRateCurve(densityData, tableContext, chartAxis, view) {
+        const utils = this.tableManager.conversionUtils;
+        const tableAxis = tableContext.axis;
+        
+        const rates = densityData
+            .filter(point => point.x >= 0 && point.x <= 1)
+            .filter(point => view !== 'hazard' || 1 - point.cdf >= HAZARD_MIN_SURVIVAL)
+            .map(point => {
+                const years = utils.fromNormalized(point.x, tableAxis);
+                const density = point.density * utils.normalizedPerYear(years, tableAxis);
+                // Hazard: chance per year of the event given it hasn't happened yet
+                return { x: point.x, y: view === 'hazard' ? density / (1 - point.cdf) : density };
+            })
+            .filter(point => isFinite(point.y));
+        
+        return this.projectToAxis(rates, tableAxis, chartAxis);
+    }
+    
+    /**
+     * Enable the hazard option only when survival tables are shown; returns the view to draw
+     */
+    updateChartViewOptions(tableIds) {
+        const hasSurvival = tableIds.some(tableId => this.tableManager.getTableContext(tableId).isSurvival);
+        const select = document.getElementById('chartViewSelect');
+        const hazardOption = select?.querySelector('option[value="hazard"]');
+        
+        if (hazardOption) {
+            hazardOption.disabled = !hasSurvival;
+        }
+        
+        const view = this.chartView === 'hazard' && !hasSurvival ? 'cdf' : this.chartView;
+        if (select) {
+            select.value = view;
+        }
+        return view;
+    }
+    
+    /**
+     * Switch the chart between probability, density and hazard views
+     */
+    setChartView(view) {
+        this.chartView = view;
+        this.updateVisualization();
+    }
+    
+    /**
+     * Conflict regions as drawn on the chart: band between the two curves' displayed values
+     */
+    toChartConflicts(conflicts, chartAxis) {
+        const utils = this.tableManager.conversionUtils;
+        const displayed = (cdf, tableId) => this.tableManager.getTableContext(tableId).isSurvival ? 1 - cdf : cdf;
+        
+        return conflicts.map(conflict => {
+            const leftTitle = this.tableManager.getTableContext(conflict.leftId).title;
+            const rightTitle = this.tableManager.getTableContext(conflict.rightId).title;
+            
+            return {
+                label: conflict.type === 'ordering'
+                    ? `${leftTitle} is more likely than ${rightTitle} here`
+                    : `${leftTitle} is above ${rightTitle} here`,
+                points: conflict.samples.map(sample => ({
+                    x: utils.toNormalized(sample.years, chartAxis),
+                    y0: displayed(sample.rightCdf, conflict.rightId),
+                    y1: displayed(sample.leftCdf, conflict.leftId)
+                }))
+            };
+        });
+    }
+    
+    /**
+     * Show or hide the fit residual whiskers
+     */
+    setShowResiduals(show) {
+        this.showResiduals = show;
+        this.updateVisualization();
+    }
+    
+    /**
+     * Fit residuals as drawn on the chart: raw point and fitted time both on the chart axis
+     */
+    toChartResiduals(residuals, tableContext, chartAxis) {
+        const points = this.toChartPoints(residuals, tableContext, chartAxis);
+        const fitted = this.toChartPoints(residuals.map(r => ({ x: r.fittedX, y: r.y })), tableContext, chartAxis);
+        return points.map((point, i) => ({ ...point, fittedX: fitted[i].x }));
+    }
+    
+    /**
+     * Stored table points as drawn on the chart: chart axis, survival shown as 1 - y
+     * (inverse = true maps chart points back to stored table points)
+     */
+    toChartPoints(points, tableContext, chartAxis, inverse = false) {
+        const projected = inverse
+            ? this.projectToAxis(points, chartAxis, tableContext.axis)
+            : this.projectToAxis(points, tableContext.axis, chartAxis);
+        
+        if (!tableContext.isSurvival) {
+            return projected;
+        }
+        return projected.map(point => ({ ...point, y: 1 - point.y }));
+    }
+    
+    /**
+     * Re-express points normalized on one axis (e.g. a table's) in another axis' [0,1] space
+     * (identity when both use the same range, as tables and chart usually do)
+     */
+    projectToAxis(points, fromAxis, toAxis) {
+        const utils = this.tableManager.conversionUtils;
+        
+        if (!fromAxis || !toAxis || (fromAxis.min === toAxis.min && fromAxis.max === toAxis.max &&
+                                     fromAxis.scale === toAxis.scale)) {
+            return points;
+        }
+        
+        return points.map(point => ({
+            ...point,
+            x: utils.toNormalized(utils.fromNormalized(point.x, fromAxis), toAxis)
+        }));
+    }
 
     /**
      * Update fit status displays for visible tables
@@ -622,8 +1487,7 @@ class SurveyCoordinator {
             if (statusEl) {
                 const fittedCurve = await this.tableManager.getFittedCurve(tableId);
                 if (fittedCurve) {
-                    statusEl.textContent = fittedCurve.fitStatus;
-                    statusEl.style.color = fittedCurve.fitType === 'metalog' ? '#666' : '#ff9800';
+                    this.showFitStatus(statusEl, fittedCurve, this.tableManager.getTableContext(tableId));
                 } else {
                     statusEl.textContent = 'Fitting curve...';
                     statusEl.style.color = '#999';
@@ -632,6 +1496,50 @@ class SurveyCoordinator {
         }
     }
     
+    /**
+     * Show fit type plus summary statistics in a table's status element
+     */
+    showFitStatus(statusEl, fittedCurve, tableContext) {
+        statusEl.textContent = fittedCurve.fitStatus;
+        statusEl.style.color = fittedCurve.fitType === 'interpolation' ? '#ff9800' : '#666';
+        
+        if (fittedCurve.summary) {
+            const summaryEl = document.createElement('div');
+            summaryEl.className = 'fit-summary';
+            summaryEl.textContent = this.formatFitSummary(fittedCurve.summary, tableContext);
+            statusEl.appendChild(summaryEl);
+        }
+    }
+    
+    /**
+     * One-line summary: median, mean, IQR, 10-90% range and mass off the axis
+     */
+    formatFitSummary(summary, tableContext) {
+        const tm = this.tableManager;
+        const format = (value) => isFinite(value) ? tm.formatYearsForDisplay(value, tableContext) : '—';
+        const percent = (mass) => `${(mass * 100).toFixed(0)}%`;
+        const p10 = summary.percentiles.find(entry => entry.p === 0.1);
+        const p90 = summary.percentiles.find(entry => entry.p === 0.9);
+        
+        const parts = [
+            `Median ${format(summary.median)}`,
+            `mean ${format(summary.mean)}`,
+            `IQR ${isFinite(summary.iqr) ? tm.conversionUtils.formatTime(summary.iqr) : '—'}`
+        ];
+        if (p10 && p90) {
+            parts.push(`10–90%: ${format(p10.value)} to ${format(p90.value)}`);
+        }
+        // Mass off the axis only matters once it shows up in rounded percentages
+        if (summary.massBelow >= 0.005) {
+            parts.push(`${percent(summary.massBelow)} before ${tm.formatTimeForDisplay(0, tableContext)}`);
+        }
+        if (summary.massAbove >= 0.005) {
+            parts.push(`${percent(summary.massAbove)} after ${tm.formatTimeForDisplay(1, tableContext)}`);
+        }
+        
+        return parts.join(' · ');
+    }
+    
     /**
      * Get tables to display for current step type
      */
@@ -653,6 +1561,15 @@ class SurveyCoordinator {
         }
     }
     
+    /**
+     * Find the step where a table is edited (-1 if none)
+     */
+    getStepIndexForTable(tableId) {
+        return this.surveyState.getSteps().findIndex(step =>
+            step.item.tables?.some(table => table.id === tableId)
+        );
+    }
+    
     /**
      * Toggle Y-axis transformation
      */
@@ -664,6 +1581,230 @@ class SurveyCoordinator {
     }
 
 
+    // === PROGRESS PERSISTENCE ===
+    
+    /**
+     * Build snapshot of everything needed to resume the survey
+     */
+    getProgressSnapshot() {
+        return {
+            configHash: this.getSurveyConfigHash(),
+            savedAt: new Date().toISOString(),
+            currentStep: this.surveyState.getCurrentStep(),
+            completedSteps: [...this.surveyState.completedSteps],
+            everCompleted: [...this.surveyState.everCompleted],
+            comments: this.surveyState.getAllComments(),
+            tableStates: this.tableManager.tableStates,
+            tableContexts: this.tableManager.tableContexts
+        };
+    }
+    
+    /**
+     * Persist current progress. While the restore prompt is unanswered the saved
+     * snapshot keeps its slot, and the respondent's new work is saved as a draft
+     * (dropped once they restore or discard).
+     */
+    saveProgress() {
+        if (!this.autosaveEnabled) {
+            if (this.initialized) {
+                this.draftStorage.saveProgress(this.getProgressSnapshot());
+            }
+            return;
+        }
+        
+        this.surveyStorage.saveProgress(this.getProgressSnapshot());
+    }
+    
+    /**
+     * Show restore prompt if a snapshot from a previous session exists
+     */
+    offerSavedProgress() {
+        if (!this.savedProgress) {
+            return;
+        }
+        
+        const section = document.getElementById('restoreProgressSection');
+        const message = document.getElementById('restoreProgressMessage');
+        const restoreBtn = document.getElementById('restoreProgressBtn');
+        
+        if (!section || !message) {
+            console.warn('Restore prompt not found - keeping saved progress untouched');
+            return;
+        }
+        
+        const savedAt = new Date(this.savedProgress.savedAt).toLocaleString();
+        
+        if (this.savedProgress.configHash === this.getSurveyConfigHash()) {
+            message.textContent = `You have unfinished responses saved on ${savedAt}. Would you like to continue where you left off?`;
+            if (restoreBtn) restoreBtn.style.display = '';
+        } else {
+            // Stale snapshot: the questions have changed since it was saved
+            console.warn(`⚠️ Saved progress is for config ${this.savedProgress.configHash}, current config is ${this.getSurveyConfigHash()}`);
+            message.textContent = `Responses saved on ${savedAt} were made with an older version of this survey and cannot be restored. Please start again.`;
+            if (restoreBtn) restoreBtn.style.display = 'none';
+        }
+        
+        section.style.display = 'block';
+    }
+    
+    /**
+     * Apply the saved snapshot and resume autosaving
+     */
+    restoreSavedProgress() {
+        const snapshot = this.savedProgress;
+        
+        if (!snapshot || snapshot.configHash !== this.getSurveyConfigHash()) {
+            console.warn('⚠️ Refusing to restore progress saved with a different survey config');
+            return false;
+        }
+        
+        console.log(`💾 Restoring progress saved at ${snapshot.savedAt}`);
+        
+        this.tableManager.restoreTables(snapshot.tableStates, snapshot.tableContexts);
+        this.surveyState.restoreProgress(snapshot);
+        
+        this.closeSavedProgressOffer();
+        this.saveProgress();
+        
+        return true;
+    }
+    
+    /**
+     * Drop the saved snapshot and start fresh
+     */
+    discardSavedProgress() {
+        console.log('🗑️ Discarding saved progress');
+        
+        this.surveyStorage.clearProgress();
+        this.closeSavedProgressOffer();
+        this.saveProgress();
+    }
+    
+    /**
+     * Hide restore prompt and enable autosave (the draft is superseded)
+     */
+    closeSavedProgressOffer() {
+        this.savedProgress = null;
+        this.autosaveEnabled = true;
+        this.draftStorage.clearProgress();
+        
+        const section = document.getElementById('restoreProgressSection');
+        if (section) {
+            section.style.display = 'none';
+        }
+    }
+
+    // === DATA IMPORT ===
+    
+    /**
+     * Import previously exported survey data (e.g. pasted via ?load)
+     * Nothing is applied unless every table passes validation.
+     * Returns {success, imported, errors, tableErrors, warnings, versionMismatch}
+     */
+    importSurveyData(data, options = {}) {
+        const { allowVersionMismatch = false } = options;
+        const result = {
+            success: false,
+            imported: [],
+            errors: [],
+            tableErrors: {},
+            warnings: [],
+            versionMismatch: false
+        };
+        
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            result.errors.push('Survey data must be a JSON object');
+            return result;
+        }
+        
+        // Bring older exports up to the current format
+        let migrated;
+        try {
+            const migration = this.exportSchema.migrate(data);
+            migrated = migration.data;
+            result.warnings.push(...migration.warnings);
+        } catch (error) {
+            result.errors.push(error.message);
+            return result;
+        }
+        
+        result.errors.push(...this.exportSchema.validate(migrated));
+        if (result.errors.length > 0) {
+            return result;
+        }
+        
+        // Data made against different questions may not mean the same thing
+        const importedHash = migrated.surveyVersion?.hash;
+        const currentHash = this.getSurveyConfigHash();
+        if (importedHash !== currentHash) {
+            result.versionMismatch = true;
+            const message = importedHash
+                ? `Data was saved with survey version ${importedHash}, current version is ${currentHash}`
+                : 'Data has no survey version, so it may not match the current questions';
+            
+            if (!allowVersionMismatch) {
+                result.errors.push(message);
+                return result;
+            }
+            result.warnings.push(message);
+        }
+        
+        // Per-table checks against the tables this survey defines
+        const tableStates = {};
+        for (const [tableId, table] of Object.entries(migrated.tables)) {
+            if (!this.tableManager.getAllTableIds().includes(tableId)) {
+                result.tableErrors[tableId] = ['Unknown table - not part of this survey'];
+                continue;
+            }
+            
+            const tableErrors = this.tableManager.validateTableData(table.data, tableId);
+            if (tableErrors.length > 0) {
+                result.tableErrors[tableId] = tableErrors;
+            } else {
+                tableStates[tableId] = table.data;
+            }
+        }
+        
+        if (Object.keys(result.tableErrors).length > 0) {
+            return result;
+        }
+        
+        // Only keep comments for steps that still ask for them
+        const comments = {};
+        for (const [stepType, comment] of Object.entries(migrated.comments)) {
+            const step = this.surveyState.getSteps().find(s => s.type === stepType);
+            if (step?.item.commentBox?.enabled) {
+                comments[stepType] = comment;
+            } else {
+                result.warnings.push(`Ignored comment for unknown step '${stepType}'`);
+            }
+        }
+        
+        // Apply through the managers so events, validation and autosave all run.
+        // Contexts stay as configured - only point data is imported.
+        this.closeSavedProgressOffer();
+        
+        const noteRepair = (e) => {
+            const title = this.tableManager.getTableContext(e.detail.tableId).title || e.detail.tableId;
+            result.warnings.push(`${title}: adjusted ${e.detail.repairs.length} decreasing probabilities`);
+        };
+        this.tableManager.addEventListener('table-repaired', noteRepair);
+        result.imported = this.tableManager.restoreTables(tableStates);
+        this.tableManager.removeEventListener('table-repaired', noteRepair);
+        
+        const firstTableStep = this.surveyState.getSteps().findIndex(step => step.item.tables);
+        this.surveyState.restoreProgress({
+            currentStep: Math.max(0, firstTableStep),
+            completedSteps: [],
+            everCompleted: [],
+            comments
+        });
+        
+        result.success = true;
+        console.log(`📥 Imported ${result.imported.length} tables`, result.warnings);
+        return result;
+    }
+
     // === DATA EXPORT ===
     
     /**
@@ -683,8 +1824,68 @@ class SurveyCoordinator {
 
     /**
      * Copy survey data to clipboard
+     * (the clipboard needs the click's user activation, so use the prepared export
+     * without waiting when it is ready)
      */
     async copyDataToClipboard() {
+        try {
+            const exportData = this.preparedExport?.data || await this.prepareExport();
+            await navigator.clipboard.writeText(JSON.stringify(this.stampExport(exportData), null, 2));
+            this.showCopySuccess();
+        } catch (err) {
+            console.error('Copy failed:', err);
+            this.showCopyFailed();
+        }
+    }
+    
+    /**
+     * Start building the export for the current answers (reuses one already under way)
+     */
+    prepareExport() {
+        if (!this.preparedExport) {
+            const prepared = { data: null, promise: null };
+            prepared.promise = this.buildExportData().then(data => {
+                prepared.data = data;
+                return data;
+            });
+            prepared.promise.catch(error => {
+                console.warn('⚠️ Could not prepare export:', error.message);
+                if (this.preparedExport === prepared) {
+                    this.preparedExport = null; // Try again on the next click
+                }
+            });
+            this.preparedExport = prepared;
+        }
+        return this.preparedExport.promise;
+    }
+    
+    /**
+     * Drop the prepared export after an answer changed (rebuilt right away on the final step)
+     */
+    invalidatePreparedExport() {
+        this.preparedExport = null;
+        if (this.surveyState.isComplete()) {
+            this.prepareExport();
+        }
+    }
+    
+    /**
+     * Export with timestamps of the moment it leaves the page
+     */
+    stampExport(exportData) {
+        const now = new Date().toISOString();
+        return {
+            ...exportData,
+            surveyVersion: { ...exportData.surveyVersion, timestamp: now },
+            timestamp: now
+        };
+    }
+    
+    /**
+     * Build the export payload shared by copy and submit
+     * (consistency lists the cross-table conflicts found on the fitted curves)
+     */
+    async buildExportData() {
         const allTables = {};
         
         for (const tableId of this.tableManager.getAllTableIds()) {
@@ -694,10 +1895,14 @@ class SurveyCoordinator {
             };
         }
         
+        const conflicts = await this.consistencyChecker.checkTables(this.tableManager.getAllTableIds());
+        
         const exportData = {
+            exportVersion: this.exportSchema.currentVersion,
             surveyProgress: this.surveyState.getProgress(),
             tables: allTables,
             comments: this.surveyState.getAllComments(),
+            consistency: conflicts.map(({ samples, ...conflict }) => conflict),
             surveyVersion: {
                 hash: this.getSurveyConfigHash(),
                 timestamp: new Date().toISOString()
@@ -705,15 +1910,76 @@ class SurveyCoordinator {
             timestamp: new Date().toISOString()
         };
         
-        const jsonString = JSON.stringify(exportData, null, 2);
+        return exportData;
+    }
+    
+    /**
+     * Submit survey data to the configured endpoint
+     */
+    async submitSurvey() {
+        const button = document.getElementById('submitSurvey');
+        if (button) {
+            button.disabled = true;
+            button.textContent = 'Submitting...';
+        }
         
+        let result;
         try {
-            await navigator.clipboard.writeText(jsonString);
-            this.showCopySuccess();
-        } catch (err) {
-            console.error('Copy failed:', err);
-            this.showCopyFailed();
+            const exportData = this.preparedExport?.data || await this.prepareExport();
+            
+            // Retries reuse the failed attempt's id, replacing its queued copy
+            result = await this.surveySubmitter.submit(this.stampExport(exportData), this.submissionId);
+            this.submissionId = result.submissionId;
+        } catch (error) {
+            console.error('Preparing the submission failed:', error);
+            result = { success: false, queued: false, error: error.message, prepareFailed: true };
         }
+        
+        if (result.success) {
+            if (button) button.textContent = 'Submitted';
+            this.showSubmissionStatus('Your responses have been submitted. Thank you!', 'success');
+        } else {
+            if (button) {
+                button.disabled = false;
+                button.textContent = 'Retry Submit';
+            }
+            let message;
+            if (result.prepareFailed) {
+                message = "Something went wrong preparing your responses. Please try again, or use 'Copy Survey Data' instead.";
+            } else if (result.queued) {
+                message = "We couldn't reach the server. Your responses are saved in this browser and will be sent automatically the next time you open the survey.";
+            } else {
+                message = "We couldn't reach the server and your browser can't store the responses. Please use 'Copy Survey Data' instead.";
+            }
+            this.showSubmissionStatus(message, 'error');
+        }
+    }
+    
+    /**
+     * Resend submissions queued by earlier failed attempts
+     */
+    async retryQueuedSubmissions() {
+        if (!this.surveySubmitter.isEnabled() || this.surveySubmitter.getQueuedCount() === 0) {
+            return;
+        }
+        
+        const { sent, remaining } = await this.surveySubmitter.retryQueued();
+        
+        if (sent > 0 && remaining === 0) {
+            this.showSubmissionStatus('Your previously saved responses have now been submitted.', 'success');
+        }
+    }
+    
+    /**
+     * Show submission feedback below the final-step buttons
+     */
+    showSubmissionStatus(message, type) {
+        const statusEl = document.getElementById('submissionStatus');
+        if (!statusEl) return;
+        
+        statusEl.textContent = message;
+        statusEl.className = `submission-status ${type}`;
+        statusEl.style.display = 'block';
     }
     
     /**
@@ -0,0 +1,137 @@
+/**
+ * Survey Export Schema
+ *
+ * RESPONSIBILITY: Defines the versioned survey export format and upgrades old exports
+ *
+ * CONSTRAINTS:
+ * - ONLY checks document structure - point-level table rules live in TableManager
+ * - NO knowledge of the current survey config (hash checks happen in the coordinator)
+ * - NO DOM manipulation, NO state changes - input objects are never mutated
+ *
+ * INTERFACE:
+ * - currentVersion: number - Version written by buildExportData
+ * - getVersion(data): number - Version of an export (1 if unversioned)
+ * - migrate(data): {data, fromVersion, warnings} - Upgrade to currentVersion (throws if too new)
+ * - validate(data): string[] - Structural errors in a current-version export
+ *
+ * VERSIONS:
+ * - 1: Unversioned exports {surveyProgress, tables, comments, surveyVersion, timestamp}
+ * - 2: Adds exportVersion; tables always {data, context}, comments always present;
+ *   optional consistency: cross-table conflicts found when exported (informational, not imported)
+ */
+
+class SurveyExportSchema {
+    constructor() {
+        this.currentVersion = 2;
+
+        // fromVersion -> function producing the next version
+        this.migrations = {
+            1: (data) => this._migrateV1ToV2(data)
+        };
+    }
+
+    /**
+     * Version of an export document
+     */
+    getVersion(data) {
+        return data.exportVersion ?? 1;
+    }
+
+    /**
+     * Upgrade an export to the current version, one step at a time
+     */
+    migrate(data) {
+        const fromVersion = this.getVersion(data);
+        const warnings = [];
+
+        if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+            throw new Error(`Unrecognized export version '${fromVersion}'`);
+        }
+        if (fromVersion > this.currentVersion) {
+            throw new Error(`Export version ${fromVersion} is newer than this survey supports (${this.currentVersion})`);
+        }
+
+        let migrated = data;
+        for (let version = fromVersion; version < this.currentVersion; version++) {
+            migrated = this.migrations[version](migrated);
+            console.log(`🔄 Migrated survey export v${version} → v${version + 1}`);
+        }
+
+        if (fromVersion < this.currentVersion) {
+            warnings.push(`Upgraded data from export version ${fromVersion} to ${this.currentVersion}`);
+        }
+
+        return { data: migrated, fromVersion, warnings };
+    }
+
+    /**
+     * Check structure of a current-version export
+     */
+    validate(data) {
+        const errors = [];
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (!isObject(data)) {
+            return ['Survey data must be a JSON object'];
+        }
+
+        if (data.exportVersion !== this.currentVersion) {
+            errors.push(`Expected export version ${this.currentVersion}, got ${data.exportVersion}`);
+        }
+
+        if (!isObject(data.tables)) {
+            errors.push("Missing 'tables' object");
+        } else {
+            for (const [tableId, table] of Object.entries(data.tables)) {
+                if (!isObject(table) || !Array.isArray(table.data)) {
+                    errors.push(`Table '${tableId}' must have a 'data' array`);
+                }
+            }
+        }
+
+        if (!isObject(data.comments)) {
+            errors.push("'comments' must be an object");
+        } else {
+            for (const [stepType, comment] of Object.entries(data.comments)) {
+                if (typeof comment !== 'string') {
+                    errors.push(`Comment for '${stepType}' must be text`);
+                }
+            }
+        }
+
+        if (data.consistency !== undefined && !Array.isArray(data.consistency)) {
+            errors.push("'consistency' must be an array");
+        }
+
+        if (data.surveyVersion !== undefined && !isObject(data.surveyVersion)) {
+            errors.push("'surveyVersion' must be an object");
+        }
+
+        return errors;
+    }
+
+    // === MIGRATIONS ===
+
+    /**
+     * v1 → v2: stamp the version and fill in optional sections
+     */
+    _migrateV1ToV2(data) {
+        const migrated = { ...data, exportVersion: 2, comments: data.comments || {} };
+
+        // Leave malformed tables for validate() to report
+        if (data.tables && typeof data.tables === 'object' && !Array.isArray(data.tables)) {
+            migrated.tables = {};
+            for (const [tableId, table] of Object.entries(data.tables)) {
+                // Tolerate hand-trimmed exports that kept only the point arrays
+                migrated.tables[tableId] = Array.isArray(table)
+                    ? { data: table, context: {} }
+                    : { ...table, context: table?.context || {} };
+            }
+        }
+
+        return migrated;
+    }
+}
+
+// Export for module use
+window.SurveyExportSchema = SurveyExportSchema;
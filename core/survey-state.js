@@ -7,15 +7,25 @@
  * - ONLY handles currentStep, navigation, and step definitions
  * - NO table data, NO chart rendering, NO UI creation
  * - NO dependencies on other core modules (table-manager, chart-renderer)
- * - ONLY depends on survey-config.js for step definitions
+ * - ONLY depends on survey-config.js for step definitions (SURVEY_CONFIG.steps)
  * 
  * INTERFACE:
  * - getCurrentStep(): number - Current step index
  * - getCurrentItem(): object - Current step configuration 
  * - nextStep(): boolean - Navigate forward, returns success
  * - prevStep(): boolean - Navigate backward, returns success
- * - canProceed(): boolean - Whether next step is allowed
+ * - canProceed(): boolean - Whether next step is allowed (runs validator)
+ * - setValidator(fn): void - Plug in (step) => {valid, errors} validation
+ * - revalidate(): object - Validate current step and emit result
  * - getTotalSteps(): number - Total number of steps
+ * - getSteps(): array - All enabled steps in order
+ * - getStepIndexForType(type): number - First step index of a type (-1 if none)
+ * - restoreProgress(progress): void - Restore steps/comments from a snapshot
+ * 
+ * STEP DEFINITIONS:
+ * - Each enabled entry of SURVEY_CONFIG.steps becomes {type, card, item, ...metadata}
+ * - item is the config card named by `card`; extra keys (e.g. axisMode) pass through
+ * - The last step must be of type 'final'
  * 
  * DATA FLOW:
  * - State changes here trigger updates in coordinator
@@ -25,12 +35,21 @@
  * EVENTS:
  * - Emits 'step-changed' when navigation occurs
  * - Emits 'completion-changed' when step completion status changes
+ * - Emits 'validation-changed' with {step, valid, errors} on revalidate()
  */
 
 class SurveyState extends EventTarget {
     constructor() {
         super();
         
+        // Validation
+        if (typeof SURVEY_CONFIG === 'undefined') {
+            throw new Error('SurveyState requires SURVEY_CONFIG to be loaded');
+        }
+        
+        // Step sequence derived from config
+        this.steps = this._buildStepSequence(SURVEY_CONFIG.steps);
+        
         // Core state - ONLY step tracking
         this.currentStep = 0;
         this.completedSteps = new Set();
@@ -39,10 +58,33 @@ class SurveyState extends EventTarget {
         // Comments state - map step type to comment text
         this.comments = new Map();
         
-        // Validation
-        if (typeof SURVEY_CONFIG === 'undefined') {
-            throw new Error('SurveyState requires SURVEY_CONFIG to be loaded');
+        // Pluggable validation: (step) => {valid, errors}
+        this.validator = null;
+    }
+    
+    /**
+     * Resolve SURVEY_CONFIG.steps into the ordered list of enabled steps
+     */
+    _buildStepSequence(stepConfigs) {
+        if (!Array.isArray(stepConfigs) || stepConfigs.length === 0) {
+            throw new Error('SURVEY_CONFIG.steps must be a non-empty array');
+        }
+        
+        const steps = stepConfigs
+            .filter(stepConfig => stepConfig.enabled !== false)
+            .map(({ enabled, ...stepConfig }) => {
+                const item = SURVEY_CONFIG[stepConfig.card];
+                if (!item) {
+                    throw new Error(`Survey step '${stepConfig.type}' references unknown card '${stepConfig.card}'`);
+                }
+                return { ...stepConfig, item };
+            });
+        
+        if (steps.length === 0 || steps[steps.length - 1].type !== 'final') {
+            throw new Error("The last enabled survey step must be of type 'final'");
         }
+        
+        return steps;
     }
 
     // === STEP NAVIGATION ===
@@ -65,48 +107,71 @@ class SurveyState extends EventTarget {
      * Get step configuration for any step index
      */
     getCurrentItemForStep(step) {
-        switch (step) {
-            case 0:
-                return { type: "intro", item: SURVEY_CONFIG.introCard };
-            case 1:
-                return {
-                    type: "aiTimelines", 
-                    item: SURVEY_CONFIG.aiTimelinesCard,
-                };
-            case 2:
-                return {
-                    type: "doomAssessment",
-                    item: SURVEY_CONFIG.doomAssessmentCard,
-                };
-            case 3:
-            default:
-                return { type: "final", item: { title: "Survey Complete" } };
-        }
+        // Out-of-range indices resolve to the nearest end (final slide past the end)
+        const index = Math.max(0, Math.min(step, this.steps.length - 1));
+        return this.steps[index];
     }
     
     /**
      * Calculate total number of steps
      */
     getTotalSteps() {
-        // Count by trying each step until we hit the final slide
-        let count = 0;
-        while (true) {
-            const item = this.getCurrentItemForStep(count);
-            if (item.type === "final") {
-                return count + 1; // Include the final slide
-            }
-            count++;
-            if (count > 20) break; // Safety limit
-        }
-        return count;
+        return this.steps.length;
+    }
+    
+    /**
+     * Get all enabled steps in order
+     */
+    getSteps() {
+        return [...this.steps];
+    }
+    
+    /**
+     * Find first step index with the given type (-1 if not present)
+     */
+    getStepIndexForType(type) {
+        return this.steps.findIndex(step => step.type === type);
     }
     
     /**
      * Check if we can proceed to next step
-     * Currently always true - could be extended for validation
      */
     canProceed() {
-        return true;
+        return this.validateCurrentStep().valid;
+    }
+    
+    /**
+     * Set validation callback used to gate forward navigation
+     */
+    setValidator(validatorFn) {
+        this.validator = validatorFn;
+    }
+    
+    /**
+     * Validate current step (always valid without a validator)
+     */
+    validateCurrentStep() {
+        if (!this.validator) {
+            return { valid: true, errors: [] };
+        }
+        return this.validator(this.getCurrentItem());
+    }
+    
+    /**
+     * Validate current step and broadcast the result
+     */
+    revalidate() {
+        const result = this.validateCurrentStep();
+        
+        this.dispatchEvent(new CustomEvent('validation-changed', {
+            detail: {
+                step: this.currentStep,
+                valid: result.valid,
+                errors: result.errors
+            }
+        }));
+        
+        return result;
     }
     
     /**
@@ -188,7 +253,35 @@ class SurveyState extends EventTarget {
         
         return true;
     }
-    
+
+    /**
+     * Restore step tracking and comments from a saved snapshot
+     */
+    restoreProgress(progress) {
+        const lastStep = this.getTotalSteps() - 1;
+        const isValidStep = (step) => Number.isInteger(step) && step >= 0 && step <= lastStep;
+
+        this.currentStep = isValidStep(progress.currentStep) ? progress.currentStep : 0;
+        this.completedSteps = new Set((progress.completedSteps || []).filter(isValidStep));
+        this.everCompleted = new Set((progress.everCompleted || []).filter(isValidStep));
+        this.comments = new Map(Object.entries(progress.comments || {}));
+
+        this.dispatchEvent(new CustomEvent('step-changed', {
+            detail: {
+                newStep: this.currentStep,
+                newItem: this.getCurrentItem(),
+                direction: 'restore'
+            }
+        }));
+
+        this.dispatchEvent(new CustomEvent('completion-changed', {
+            detail: {
+                completedSteps: [...this.completedSteps],
+                everCompleted: [...this.everCompleted]
+            }
+        }));
+    }
+
     // === STATE QUERIES ===
     
     /**
@@ -232,9 +325,8 @@ class SurveyState extends EventTarget {
     setComment(commentText) {
         const currentItem = this.getCurrentItem();
         if (currentItem && currentItem.type) {
-            // Only save comments for step types that actually have comment boxes
-            const stepTypesWithComments = ['aiTimelines', 'doomAssessment'];
-            if (!stepTypesWithComments.includes(currentItem.type)) {
+            // Only save comments for steps that actually have comment boxes
+            if (!currentItem.item?.commentBox?.enabled) {
                 console.warn(`⚠️ Attempted to save comment for step type '${currentItem.type}' which has no comment box`);
                 return;
             }
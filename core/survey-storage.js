@@ -0,0 +1,110 @@
+/**
+ * Survey Storage
+ *
+ * RESPONSIBILITY: Persists survey progress snapshots in browser storage
+ *
+ * CONSTRAINTS:
+ * - ONLY reads/writes serialized snapshots under a single storage key
+ * - NO knowledge of what tables or steps mean - snapshots are opaque objects
+ * - NO DOM manipulation, NO event handling
+ * - Storage failures (quota, private browsing) are logged, never thrown
+ *
+ * INTERFACE:
+ * - saveProgress(snapshot): boolean - Store snapshot, returns success
+ * - loadProgress(): object|null - Read stored snapshot (null if none/corrupt)
+ * - clearProgress(): void - Remove stored snapshot
+ * - isAvailable(): boolean - Whether browser storage can be used
+ *
+ * SNAPSHOT FORMAT:
+ * - {configHash, savedAt, currentStep, completedSteps, everCompleted,
+ *    comments, tableStates, tableContexts}
+ * - configHash ties the snapshot to the survey config it was created with
+ */
+
+class SurveyStorage {
+    constructor(storageKey = 'cdf-survey-progress') {
+        this.storageKey = storageKey;
+        this.storage = this._getStorage();
+    }
+
+    /**
+     * Get localStorage if accessible (can throw in sandboxed iframes)
+     */
+    _getStorage() {
+        try {
+            return window.localStorage || null;
+        } catch (error) {
+            console.warn('⚠️ Browser storage unavailable:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Check whether progress can be persisted
+     */
+    isAvailable() {
+        return this.storage !== null;
+    }
+
+    /**
+     * Save progress snapshot
+     */
+    saveProgress(snapshot) {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(snapshot));
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Failed to save survey progress:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Load progress snapshot (null if nothing usable is stored)
+     */
+    loadProgress() {
+        if (!this.storage) {
+            return null;
+        }
+
+        try {
+            const raw = this.storage.getItem(this.storageKey);
+            if (!raw) {
+                return null;
+            }
+
+            const snapshot = JSON.parse(raw);
+            if (!snapshot || typeof snapshot !== 'object' || !snapshot.tableStates) {
+                console.warn('⚠️ Ignoring malformed survey progress snapshot');
+                return null;
+            }
+
+            return snapshot;
+        } catch (error) {
+            console.warn('⚠️ Failed to read survey progress:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Remove stored progress
+     */
+    clearProgress() {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            this.storage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('⚠️ Failed to clear survey progress:', error.message);
+        }
+    }
+}
+
+// Export for module use
+window.SurveyStorage = SurveyStorage;
@@ -0,0 +1,248 @@
+/**
+ * Survey Submitter
+ *
+ * RESPONSIBILITY: Sends finished survey payloads to the configured endpoint
+ *
+ * CONSTRAINTS:
+ * - ONLY handles delivery of opaque payloads - NO knowledge of tables or steps
+ * - NO DOM manipulation, NO event handling
+ * - Failed deliveries are queued in browser storage, never dropped
+ * - Storage failures are logged, never thrown
+ *
+ * INTERFACE:
+ * - isEnabled(): boolean - Whether a submission endpoint is configured
+ * - submit(payload, submissionId?): Promise<{success, queued, error, submissionId}> - Send now,
+ *   queue on failure. Pass the submissionId of a failed attempt to retry it: the queued copy is
+ *   replaced (or removed once sent), never duplicated
+ * - retryQueued(): Promise<{sent, remaining}> - Resend everything in the queue (concurrent
+ *   calls share one run)
+ * - getQueuedCount(): number - Number of payloads waiting to be sent
+ *
+ * CONFIG (SURVEY_CONFIG.submission):
+ * - {enabled, endpoint, method, headers, timeoutMs}
+ *
+ * QUEUE FORMAT:
+ * - [{payload, queuedAt, attempts}] under a single storage key, at most one entry per submissionId
+ * - Each payload carries a submissionId so the server can drop duplicates
+ * - Every queue change is a synchronous read-modify-write, so entries queued while a
+ *   retry is awaiting the network are kept
+ */
+
+class SurveySubmitter {
+    constructor(config = {}, storageKey = 'cdf-survey-submission-queue') {
+        this.config = {
+            enabled: false,
+            endpoint: '',
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            timeoutMs: 10000,
+            ...config
+        };
+        this.storageKey = storageKey;
+        this.storage = this._getStorage();
+        this.retryInFlight = null; // Promise of the running retryQueued, if any
+    }
+
+    /**
+     * Get localStorage if accessible (can throw in sandboxed iframes)
+     */
+    _getStorage() {
+        try {
+            return window.localStorage || null;
+        } catch (error) {
+            console.warn('⚠️ Browser storage unavailable, submissions cannot be queued:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Check whether submissions should be attempted at all
+     */
+    isEnabled() {
+        return Boolean(this.config.enabled && this.config.endpoint);
+    }
+
+    /**
+     * Submit a payload, queueing it for a later retry if delivery fails
+     * (submissionId: reuse the id of an earlier failed attempt at the same submission)
+     */
+    async submit(payload, submissionId = null) {
+        const tagged = { ...payload, submissionId: submissionId || this._createSubmissionId() };
+
+        try {
+            await this._send(tagged);
+            console.log(`📤 Survey submitted (${tagged.submissionId})`);
+            this._dequeue([tagged.submissionId]);
+            return { success: true, queued: false, error: null, submissionId: tagged.submissionId };
+        } catch (error) {
+            console.warn('⚠️ Survey submission failed, queueing for retry:', error.message);
+            const queued = this._enqueue(tagged);
+            return { success: false, queued, error: error.message, submissionId: tagged.submissionId };
+        }
+    }
+
+    /**
+     * Resend queued payloads; anything that fails again stays queued
+     */
+    retryQueued() {
+        if (!this.retryInFlight) {
+            this.retryInFlight = this._retryQueued().finally(() => {
+                this.retryInFlight = null;
+            });
+        }
+        return this.retryInFlight;
+    }
+
+    async _retryQueued() {
+        const queue = this._readQueue();
+        if (queue.length === 0) {
+            return { sent: 0, remaining: 0 };
+        }
+
+        console.log(`📤 Retrying ${queue.length} queued submission(s)`);
+
+        const sentIds = [];
+        const failedIds = [];
+
+        for (const entry of queue) {
+            try {
+                await this._send(entry.payload);
+                sentIds.push(entry.payload.submissionId);
+            } catch (error) {
+                console.warn(`⚠️ Retry failed for ${entry.payload.submissionId}:`, error.message);
+                failedIds.push(entry.payload.submissionId);
+            }
+        }
+
+        // Re-read: submit() may have queued entries while we were waiting
+        const remaining = this._readQueue()
+            .filter(entry => !sentIds.includes(entry.payload.submissionId))
+            .map(entry => failedIds.includes(entry.payload.submissionId)
+                ? { ...entry, attempts: entry.attempts + 1 }
+                : entry);
+
+        this._writeQueue(remaining);
+        return { sent: sentIds.length, remaining: remaining.length };
+    }
+
+    /**
+     * Number of payloads waiting to be sent
+     */
+    getQueuedCount() {
+        return this._readQueue().length;
+    }
+
+    // === DELIVERY ===
+
+    /**
+     * Send one payload; rejects on network errors, timeouts and non-2xx responses
+     */
+    async _send(payload) {
+        if (!this.isEnabled()) {
+            throw new Error('Submission endpoint is not configured');
+        }
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), this.config.timeoutMs);
+
+        try {
+            const response = await fetch(this.config.endpoint, {
+                method: this.config.method,
+                headers: this.config.headers,
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Server responded with ${response.status}`);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Request timed out after ${this.config.timeoutMs}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Unique id for a submission (stable across retries)
+     */
+    _createSubmissionId() {
+        if (window.crypto?.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    // === QUEUE STORAGE ===
+
+    /**
+     * Add a payload to the retry queue (replacing an entry with the same submissionId),
+     * returns whether it was stored
+     */
+    _enqueue(payload) {
+        const queue = this._readQueue();
+        const index = queue.findIndex(entry => entry.payload.submissionId === payload.submissionId);
+
+        if (index === -1) {
+            queue.push({ payload, queuedAt: new Date().toISOString(), attempts: 1 });
+        } else {
+            queue[index] = { ...queue[index], payload, attempts: queue[index].attempts + 1 };
+        }
+        return this._writeQueue(queue);
+    }
+
+    /**
+     * Drop delivered submissions from the retry queue
+     */
+    _dequeue(submissionIds) {
+        const queue = this._readQueue();
+        const remaining = queue.filter(entry => !submissionIds.includes(entry.payload.submissionId));
+        if (remaining.length !== queue.length) {
+            this._writeQueue(remaining);
+        }
+    }
+
+    /**
+     * Read the retry queue (empty if missing or corrupt)
+     */
+    _readQueue() {
+        if (!this.storage) {
+            return [];
+        }
+
+        try {
+            const queue = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+            return Array.isArray(queue) ? queue : [];
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable submission queue:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Persist the retry queue, returns success
+     */
+    _writeQueue(queue) {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            if (queue.length === 0) {
+                this.storage.removeItem(this.storageKey);
+            } else {
+                this.storage.setItem(this.storageKey, JSON.stringify(queue));
+            }
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Failed to store submission queue:', error.message);
+            return false;
+        }
+    }
+}
+
+// Export for module use
+window.SurveySubmitter = SurveySubmitter;
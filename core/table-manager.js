@@ -12,28 +12,91 @@
  * 
  * INTERFACE:
  * - getTableState(tableId): array - Get table data as {x, y} pairs
- * - setTableState(tableId, data): void - Replace entire table
+ * - setTableState(tableId, data, options?): void - Replace entire table
+ *   (options: {recordHistory = true, coalesceKey})
  * - addRow(tableId): boolean - Add new row
+ * - canAddRow(tableId): boolean - Whether addRow has anything left to add
  * - deleteRow(tableId, rowIndex): boolean - Remove row
- * - updateCell(tableId, rowIndex, field, value, context): boolean - Update single cell
+ * - updateCell(tableId, rowIndex, field, value, context): {status, reason?, rowIndex?} - Update single cell
+ *   (status 'accepted' | 'clipped' | 'rejected'; see CELL UPDATE RESULTS)
+ * - pasteRows(tableId, text): {pasted, skipped: [{line, reason}]} - Merge pasted time/probability pairs
+ * - movePoint(tableId, rowIndex, x, y): {x, y}|null - Move a point in [0,1]² (chart dragging)
  * - initializeTable(tableId, defaultData, context): void - Set up new table
+ * - restoreTables(tableStates, tableContexts): array - Restore saved tables
+ * - validateTableData(data, tableId?): string[] - Invariant violations in external data (empty if valid)
+ * - undo(tableId) / redo(tableId): boolean - Step through the table's edit history
+ * - canUndo(tableId) / canRedo(tableId): boolean - Whether there is anything to step to
  * 
  * DATA FORMAT:
  * - All data stored as normalized [0,1]² space: {x: [0,1], y: [0,1]}
  * - Invariants: unique x-values, sorted by x, monotonic in y (CDF property)
+ * - Every write goes through setTableState, which repairs decreasing y per
+ *   context.repairStrategy: 'reject' (throw), 'clip' (raise to previous row),
+ *   'isotonic' (closest non-decreasing fit via PAVA, default)
+ * - Quantile tables (context.elicitation 'quantile') only accept y values from
+ *   context.quantiles, one row each, and are never repaired ('reject' always)
  * - Context determines parsing: 'timeline' vs 'duration' modes
  * 
  * EVENTS:
  * - Emits 'table-changed' when any table data changes
+ * - Emits 'table-repaired' with {tableId, strategy, repairs: [{index, x, from, to}]}
+ *   before 'table-changed' when y-values had to be adjusted
  * - Emits 'table-created' when new table initialized
  * - Emits 'table-deleted' when table removed
  * 
  * CONTEXT MODES:
- * - 'timeline': Parse absolute years (2025, 2030) with linear normalization
- * - 'duration': Parse durations (1 year, 6 months) with log normalization  
+ * - 'timeline': Parse absolute years (2025, 2030), linear by default
+ * - 'duration': Parse durations (1 year, 6 months), log by default
+ * - context.axis = {min, max, scale} sets the range and scaling (see ConversionUtils.resolveAxis)
  * - 'survival': Special probability handling (decreasing semantics)
+ * 
+ * CELL UPDATE RESULTS (updateCell):
+ * - {status: 'accepted', rowIndex}: stored as entered; rowIndex is where the row ended up
+ * - {status: 'clipped', rowIndex, reason}: stored, but adjusted to the axis or neighbouring
+ *   rows; reason says what changed, in the respondent's units
+ * - {status: 'rejected', reason}: nothing stored (unreadable input, time taken by another
+ *   row, quantile order, fixed probability)
+ * 
+ * EDIT HISTORY:
+ * - Every edit through setTableState (and so addRow, deleteRow, updateCell, movePoint)
+ *   saves the previous data on the table's undo stack; initialization and restores don't
+ * - Edits with the same coalesceKey within HISTORY_COALESCE_MS of each other (a chart drag,
+ *   re-editing one cell) share one undo step
+ * - History lives here, not in the DOM, so it survives step navigation
+ * 
+ * FIT BOUNDS (context.bounds):
+ * - 'none': Unbounded metalog (default)
+ * - 'lower': Log-metalog, no probability mass before the axis minimum
+ * - 'both': Logit-metalog, all probability mass within the axis range
+ * 
+ * FIT SETTINGS (context.fit, all optional):
+ * - tolerance: Largest time error per point, as a fraction of the axis (default 0.025)
+ * - minTerms / maxTerms: Metalog k range to try (default 2 to the number of points)
+ * - fallback: When a feasible k misses a point: 'interpolation' (default) or 'lower-k';
+ *   'constrained' also projects infeasible k onto the nearest feasible metalog
+ * - family: 'metalog' (default), 'lognormal', 'gamma', 'weibull', 'genlogistic' (least-squares
+ *   fits of normalized time; linear axes only, bounds don't apply) or 'auto' (best by goodness
+ *   of fit among those that keep their mass within the bounds; metalog only on log axes)
+ * - The settings used and each k tried are recorded in distribution.fit
+ * - Checked when the table is set up (or when the distribution module loads); invalid
+ *   settings are logged once and the table falls back to the default fit
+ * 
+ * FITTING:
+ * - getFittedCurve fits in distributions/fit-worker.js when workers are available
+ *   (main thread otherwise); results are cached per table by data hash
+ * - A fit still queued when its table's data changes is cancelled, and its callers
+ *   receive the fit for the new data
+ * 
+ * ELICITATION MODES (context.elicitation):
+ * - 'free': Respondent edits both time and probability (default)
+ * - 'quantile': Probabilities fixed to context.quantiles (as displayed, e.g. [0.1, 0.5, 0.9]);
+ *   only times are editable, addRow adds the next missing quantile
  */
 
+// Edits with the same coalesce key closer together than this share one undo step
+const HISTORY_COALESCE_MS = 1000;
+const HISTORY_LIMIT = 50;
+
 class TableManager extends EventTarget {
     constructor() {
         super();
@@ -47,16 +110,32 @@ class TableManager extends EventTarget {
         // Curve fitting cache: tableId -> {distribution, plotData, lastDataHash}
         this.fittedCurveCache = {};
         
+        // Edit history: tableId -> {undo: [data], redo: [data], lastKey, lastTime}
+        this.history = {};
+        
         // Distribution module for curve fitting
         this.distributionModule = null;
         this.loadDistributionModule();
         
+        // Fits run in a worker when one can be started (main thread otherwise);
+        // pendingFits: tableId -> {id, dataHash, promise, resolve} for the fit in flight
+        this.fitRequestId = 0;
+        this.pendingFits = {};
+        this.fitWorker = this._createFitWorker();
+        
         // Validation
         if (typeof ConversionUtils === 'undefined') {
             throw new Error('TableManager requires ConversionUtils to be loaded');
         }
+        if (typeof LabelPlacementPAVA === 'undefined') {
+            throw new Error('TableManager requires LabelPlacementPAVA to be loaded');
+        }
         
         this.conversionUtils = new ConversionUtils();
+        
+        // Monotonicity repair (isotonic projection reuses the label placement PAVA)
+        this.defaultRepairStrategy = 'isotonic';
+        this.isotonicSolver = new LabelPlacementPAVA();
     }
 
     /**
@@ -66,11 +145,52 @@ class TableManager extends EventTarget {
         try {
             this.distributionModule = await import('../distributions/distribution.js');
             console.log("✅ Distribution module loaded in TableManager");
+            
+            // Tables set up before the module was available
+            Object.keys(this.tableContexts).forEach(tableId => this._validateFitSettings(tableId));
         } catch (error) {
             console.error("❌ Failed to load distribution module:", error);
         }
     }
 
+    /**
+     * Start the curve fitting worker (null when workers are unavailable)
+     */
+    _createFitWorker() {
+        if (typeof Worker === 'undefined') {
+            return null;
+        }
+        
+        try {
+            // Relative to the page (index.html), like the other script paths
+            const worker = new Worker('distributions/fit-worker.js');
+            worker.onmessage = (event) => this._handleFitResponse(event.data);
+            worker.onerror = (event) => {
+                console.warn('⚠️ Fit worker failed, fitting on the main thread:', event.message);
+                this._disableFitWorker();
+            };
+            return worker;
+        } catch (error) {
+            console.warn('⚠️ Could not start fit worker, fitting on the main thread:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Stop using the worker; pending fits resolve as cancelled so callers refit here
+     */
+    _disableFitWorker() {
+        if (this.fitWorker) {
+            this.fitWorker.terminate();
+            this.fitWorker = null;
+        }
+        
+        for (const pending of Object.values(this.pendingFits)) {
+            pending.resolve({ cancelled: true });
+        }
+        this.pendingFits = {};
+    }
+
     // === TABLE STATE MANAGEMENT ===
     
     /**
@@ -85,8 +205,12 @@ class TableManager extends EventTarget {
     
     /**
      * Set entire table state (validates and sorts)
+     * options.recordHistory: save the previous data for undo (default true)
+     * options.coalesceKey: merge with the previous edit if it had the same key and was recent
      */
-    setTableState(tableId, newData) {
+    setTableState(tableId, newData, options = {}) {
+        const { recordHistory = true, coalesceKey = null } = options;
+        
         // Validate data format
         if (!Array.isArray(newData)) {
             throw new Error('Table data must be an array');
@@ -101,8 +225,19 @@ class TableManager extends EventTarget {
             }
         }
         
-        // Sort by x and ensure uniqueness
-        const sortedData = this._ensureInvariants(newData);
+        // Quantile tables only take their configured probabilities
+        const quantileProblems = this._findQuantileProblems(newData, this.getTableContext(tableId));
+        if (quantileProblems.length > 0) {
+            throw new Error(quantileProblems[0]);
+        }
+        
+        // Sort by x, ensure uniqueness and non-decreasing y (may throw for 'reject')
+        const strategy = this._getRepairStrategy(tableId);
+        const { data: sortedData, repairs } = this._ensureInvariants(newData, strategy);
+        
+        if (recordHistory) {
+            this._recordHistory(tableId, sortedData, coalesceKey);
+        }
         
         // Store
         this.tableStates[tableId] = sortedData;
@@ -110,7 +245,14 @@ class TableManager extends EventTarget {
         // Clear fitted curve cache since data changed
         this._clearCurveCache(tableId);
         
-        // Emit event
+        // Emit events
+        if (repairs.length > 0) {
+            console.warn(`⚠️ Repaired ${repairs.length} decreasing probabilities in ${tableId} (${strategy})`);
+            this.dispatchEvent(new CustomEvent('table-repaired', {
+                detail: { tableId, strategy, repairs }
+            }));
+        }
+        
         this.dispatchEvent(new CustomEvent('table-changed', {
             detail: { tableId, data: [...sortedData] }
         }));
@@ -125,14 +267,26 @@ class TableManager extends EventTarget {
             mode: context.mode || 'duration', // 'timeline' or 'duration'
             isSurvival: context.isSurvival || false,
             title: context.title || tableId,
-            ...context
+            elicitation: context.elicitation || 'free',
+            ...context,
+            axis: this.conversionUtils.resolveAxis(context.mode || 'duration', context.axis)
         };
         
+        if (this.tableContexts[tableId].elicitation === 'quantile') {
+            const quantiles = this.tableContexts[tableId].quantiles;
+            if (!Array.isArray(quantiles) || quantiles.length < 2) {
+                throw new Error(`Quantile table ${tableId} needs at least 2 quantiles`);
+            }
+            this.tableContexts[tableId].quantiles = [...quantiles].sort((a, b) => a - b);
+        }
+        
+        this._validateFitSettings(tableId);
+        
         // Convert default data to normalized format
-        const normalizedData = this._normalizeDefaultData(defaultData, context);
+        const normalizedData = this._normalizeDefaultData(defaultData, this.tableContexts[tableId]);
         
-        // Set state
-        this.setTableState(tableId, normalizedData);
+        // Set state (defaults are the starting point, not an undoable edit)
+        this.setTableState(tableId, normalizedData, { recordHistory: false });
         
         // Emit creation event
         this.dispatchEvent(new CustomEvent('table-created', {
@@ -140,6 +294,89 @@ class TableManager extends EventTarget {
         }));
     }
     
+    /**
+     * Restore tables from saved state (validates through setTableState)
+     * Returns list of table IDs that were restored
+     */
+    restoreTables(tableStates, tableContexts = {}) {
+        const restored = [];
+
+        for (const [tableId, data] of Object.entries(tableStates)) {
+            const configured = this.tableContexts[tableId];
+            try {
+                const context = { ...configured, ...(tableContexts[tableId] || {}) };
+                
+                // Fixed probabilities come from the survey config, never from saved data
+                if (configured) {
+                    context.elicitation = configured.elicitation;
+                    context.quantiles = configured.quantiles;
+                }
+                
+                this.tableContexts[tableId] = context;
+                this.setTableState(tableId, data, { recordHistory: false });
+                this._clearHistory(tableId);
+                restored.push(tableId);
+            } catch (error) {
+                if (configured) {
+                    this.tableContexts[tableId] = configured;
+                } else {
+                    delete this.tableContexts[tableId];
+                }
+                console.warn(`⚠️ Could not restore table ${tableId}:`, error.message);
+            }
+        }
+
+        return restored;
+    }
+
+    /**
+     * Check externally supplied points against the table invariants without storing them
+     * Returns human-readable problems (empty if setTableState would accept the data).
+     * Decreasing probabilities only count as errors if the table's strategy is 'reject'.
+     */
+    validateTableData(data, tableId = null) {
+        if (!Array.isArray(data)) {
+            return ['Table data must be an array'];
+        }
+
+        const errors = [];
+
+        data.forEach((point, index) => {
+            const row = `Row ${index + 1}`;
+            if (!point || typeof point.x !== 'number' || typeof point.y !== 'number' ||
+                !isFinite(point.x) || !isFinite(point.y)) {
+                errors.push(`${row}: needs numeric x and y`);
+            } else if (point.x < 0 || point.x > 1 || point.y < 0 || point.y > 1) {
+                errors.push(`${row}: outside [0,1] space`);
+            }
+        });
+
+        if (errors.length > 0) {
+            return errors;
+        }
+
+        if (tableId) {
+            errors.push(...this._findQuantileProblems(data, this.getTableContext(tableId)));
+        }
+
+        if (data.length < 2) {
+            errors.push('Needs at least 2 rows');
+        }
+
+        // Same rules setTableState enforces, reported instead of silently applied
+        const sorted = this._sortUnique(data);
+        if (sorted.length < data.length) {
+            errors.push('Contains duplicate time values');
+        }
+
+        const strategy = tableId ? this._getRepairStrategy(tableId) : 'reject';
+        if (strategy === 'reject' && !this._isNonDecreasing(sorted.map(point => point.y))) {
+            errors.push('Probabilities must not decrease over time');
+        }
+
+        return errors;
+    }
+
     /**
      * Remove table entirely
      */
@@ -150,6 +387,7 @@ class TableManager extends EventTarget {
         
         delete this.tableStates[tableId];
         delete this.tableContexts[tableId];
+        this._clearHistory(tableId);
         
         this.dispatchEvent(new CustomEvent('table-deleted', {
             detail: { tableId }
@@ -201,14 +439,21 @@ class TableManager extends EventTarget {
         try {
             console.log(`📊 Fitting curve for ${tableId}:`, tableData);
 
-            // Fit distribution using existing function
-            const distribution = this.distributionModule.fitDistribution(tableData);
+            const tableContext = this.getTableContext(tableId);
+            const fitted = await this._runFit(tableId, tableData, dataHash, this._getFitOptions(tableContext));
             
-            // Get plot data using existing function
-            const plotData = this.distributionModule.getPlotData(distribution, 200);
+            // Data changed while fitting: answer with the fit for the current data
+            if (fitted.cancelled || this._hashData(this.getTableState(tableId)) !== dataHash) {
+                return this.getFittedCurve(tableId);
+            }
+            
+            if (fitted.error) {
+                throw new Error(fitted.error);
+            }
+            
+            const { distribution, plotData } = fitted;
             
             // Transform back for survival functions if needed
-            const tableContext = this.getTableContext(tableId);
             let displayPlotData = plotData;
             if (tableContext.isSurvival) {
                 displayPlotData = plotData.map(point => ({ 
@@ -218,10 +463,16 @@ class TableManager extends EventTarget {
             }
 
             // Create result object
+            const axis = this._getAxis(tableContext);
             const result = {
                 plotData: displayPlotData,
+                densityData: fitted.densityData,
+                summary: this.distributionModule.summarize(distribution, {
+                    toValue: x => this.conversionUtils.fromNormalized(x, axis)
+                }),
+                residuals: fitted.residuals,
                 distribution: distribution,
-                fitType: distribution.type, // 'metalog' or 'interpolation'
+                fitType: distribution.type, // 'metalog', 'parametric' or 'interpolation'
                 fitStatus: this._getFitStatusMessage(distribution),
                 lastDataHash: dataHash
             };
@@ -238,6 +489,80 @@ class TableManager extends EventTarget {
         }
     }
 
+    /**
+     * Fit and sample a table's points → {distribution, plotData, densityData, residuals},
+     * or {cancelled: true} when a fit for newer data replaced this one
+     */
+    _runFit(tableId, tableData, dataHash, options) {
+        if (!this.fitWorker) {
+            return Promise.resolve(this.distributionModule.fitAndSample(tableData, options, 200));
+        }
+        
+        // Share the fit already in flight for the same data; cancel one for stale data
+        const pending = this.pendingFits[tableId];
+        if (pending && pending.dataHash === dataHash) {
+            return pending.promise;
+        }
+        if (pending) {
+            this.fitWorker.postMessage({ type: 'cancel', id: pending.id });
+            pending.resolve({ cancelled: true });
+        }
+        
+        const id = ++this.fitRequestId;
+        let resolve;
+        const promise = new Promise(r => { resolve = r; });
+        this.pendingFits[tableId] = { id, dataHash, promise, resolve };
+        
+        this.fitWorker.postMessage({ type: 'fit', id, dataPoints: tableData, options, numPoints: 200 });
+        return promise;
+    }
+    
+    /**
+     * Worker reply: resolve the matching pending fit (replies for cancelled fits are dropped)
+     */
+    _handleFitResponse(message) {
+        if (message.type === 'unavailable') {
+            console.warn('⚠️ Fit worker could not load the distribution module:', message.error);
+            this._disableFitWorker();
+            return;
+        }
+        
+        const tableId = Object.keys(this.pendingFits).find(id => this.pendingFits[id].id === message.id);
+        if (!tableId) {
+            return;
+        }
+        
+        const pending = this.pendingFits[tableId];
+        delete this.pendingFits[tableId];
+        
+        if (message.error) {
+            console.error(`❌ Fit worker failed for ${tableId}:`, message.error);
+            pending.resolve({ error: message.error });
+        } else {
+            pending.resolve(message.result);
+        }
+    }
+
+    /**
+     * Check a table's fit settings (context.fit) once the distribution module is
+     * available. Invalid settings are reported once and the table uses the default
+     * fit, instead of every refit throwing and the chart showing no fit at all.
+     */
+    _validateFitSettings(tableId) {
+        const context = this.tableContexts[tableId];
+        if (!this.distributionModule || !context?.fit) {
+            return;
+        }
+        
+        try {
+            this.distributionModule.resolveFitOptions(this._getFitOptions(context));
+        } catch (error) {
+            console.error(`❌ Invalid fit settings for ${tableId} (${error.message}) - using the default fit`);
+            delete context.fit;
+            this._clearCurveCache(tableId);
+        }
+    }
+    
     /**
      * Clear fitted curve cache for a table (called when data changes)
      */
@@ -245,6 +570,28 @@ class TableManager extends EventTarget {
         delete this.fittedCurveCache[tableId];
     }
 
+    /**
+     * Options for fitDistribution: the table's fit settings, bounds and axis scale
+     */
+    _getFitOptions(context) {
+        return {
+            ...context.fit,
+            bounds: this._getFitBounds(context),
+            axisScale: this._getAxis(context).scale
+        };
+    }
+
+    /**
+     * Metalog bounds in normalized time for context.bounds (null = unbounded)
+     */
+    _getFitBounds(context) {
+        switch (context.bounds) {
+            case 'lower': return { lower: 0 };
+            case 'both': return { lower: 0, upper: 1 };
+            default: return null;
+        }
+    }
+
     /**
      * Create simple hash of data for caching
      */
@@ -258,7 +605,12 @@ class TableManager extends EventTarget {
     _getFitStatusMessage(distribution) {
         if (distribution.type === 'metalog') {
             const numTerms = distribution.metalog?.numTerms || distribution.metalog?.k || 'unknown';
-            return `Metalog fit (k=${numTerms})`;
+            const bounds = distribution.metalog?.bounds;
+            const name = !bounds ? 'Metalog' : (isFinite(bounds.upper) ? 'Logit-metalog' : 'Log-metalog');
+            const constrained = distribution.metalog?.constrainedFit ? ', constrained' : '';
+            return `${name} fit (k=${numTerms}${constrained})`;
+        } else if (distribution.type === 'parametric') {
+            return `${distribution.name} fit`;
         } else if (distribution.type === 'interpolation') {
             return 'Interpolation';
         } else {
@@ -266,6 +618,78 @@ class TableManager extends EventTarget {
         }
     }
 
+    // === EDIT HISTORY ===
+    
+    /**
+     * Restore the data from before the table's last edit
+     */
+    undo(tableId) {
+        return this._stepHistory(tableId, 'undo', 'redo');
+    }
+    
+    /**
+     * Re-apply the last undone edit
+     */
+    redo(tableId) {
+        return this._stepHistory(tableId, 'redo', 'undo');
+    }
+    
+    canUndo(tableId) {
+        return (this.history[tableId]?.undo.length ?? 0) > 0;
+    }
+    
+    canRedo(tableId) {
+        return (this.history[tableId]?.redo.length ?? 0) > 0;
+    }
+    
+    /**
+     * Pop a snapshot from one stack, push the current data onto the other
+     */
+    _stepHistory(tableId, from, to) {
+        const history = this.history[tableId];
+        if (!history || history[from].length === 0) {
+            return false;
+        }
+        
+        history[to].push(this.getTableState(tableId));
+        const data = history[from].pop();
+        history.lastKey = null; // The next edit starts a new step
+        
+        this.setTableState(tableId, data, { recordHistory: false });
+        return true;
+    }
+    
+    /**
+     * Save the current data before it changes to newData (no-op edits aren't recorded)
+     */
+    _recordHistory(tableId, newData, coalesceKey) {
+        const current = this.tableStates[tableId] || [];
+        if (this._hashData(current) === this._hashData(newData)) {
+            return;
+        }
+        
+        const history = this.history[tableId] ||
+            (this.history[tableId] = { undo: [], redo: [], lastKey: null, lastTime: 0 });
+        const now = Date.now();
+        const coalesce = coalesceKey !== null && coalesceKey === history.lastKey &&
+                         now - history.lastTime < HISTORY_COALESCE_MS && history.undo.length > 0;
+        
+        if (!coalesce) {
+            history.undo.push([...current]);
+            if (history.undo.length > HISTORY_LIMIT) {
+                history.undo.shift();
+            }
+        }
+        
+        history.redo = [];
+        history.lastKey = coalesceKey;
+        history.lastTime = now;
+    }
+    
+    _clearHistory(tableId) {
+        delete this.history[tableId];
+    }
+
     // === ROW OPERATIONS ===
     
     /**
@@ -274,6 +698,10 @@ class TableManager extends EventTarget {
     addRow(tableId) {
         const tableData = this.getTableState(tableId);
         
+        if (this._isQuantileTable(tableId)) {
+            return this._addQuantileRow(tableId);
+        }
+        
         // Implementation from invariants.md: add row operation
         let newPoint;
         
@@ -310,6 +738,16 @@ class TableManager extends EventTarget {
         return true;
     }
     
+    /**
+     * Check whether addRow can add another row
+     */
+    canAddRow(tableId) {
+        if (this._isQuantileTable(tableId)) {
+            return this._getMissingQuantiles(tableId).length > 0;
+        }
+        return true;
+    }
+    
     /**
      * Delete row from table
      */
@@ -334,14 +772,21 @@ class TableManager extends EventTarget {
     }
     
     /**
-     * Update single cell value
+     * Update single cell value; returns {status, reason?, rowIndex?} (see CELL UPDATE RESULTS)
      */
     updateCell(tableId, rowIndex, field, value, context = null) {
         const tableData = this.getTableState(tableId);
         const tableContext = context || this.getTableContext(tableId);
         
         if (rowIndex < 0 || rowIndex >= tableData.length) {
-            return false;
+            return this._rejected('This row no longer exists');
+        }
+        
+        if (tableContext.elicitation === 'quantile') {
+            // Probabilities are fixed by config - only times can change
+            return field === 'x'
+                ? this._updateQuantileTimeCell(tableId, rowIndex, value, tableContext)
+                : this._rejected('Probabilities are fixed for this question - change the time instead');
         }
         
         if (field === 'x') {
@@ -350,7 +795,128 @@ class TableManager extends EventTarget {
             return this._updateProbabilityCell(tableId, rowIndex, value, tableContext);
         }
         
-        return false;
+        return this._rejected(`Unknown field '${field}'`);
+    }
+    
+    /**
+     * Merge spreadsheet rows ("time<TAB>probability" or comma-separated, one pair
+     * per line) into the table as one edit. A pasted time that matches an existing
+     * row replaces that row's probability; other times add rows. Quantile tables
+     * match rows by probability instead, which must be one of the configured quantiles.
+     * Lines that don't parse (headers, blanks) are skipped and reported.
+     */
+    pasteRows(tableId, text) {
+        const context = this.getTableContext(tableId);
+        const isQuantile = context.elicitation === 'quantile';
+        const updatedTable = this.getTableState(tableId);
+        const skipped = [];
+        let pasted = 0;
+        
+        this.conversionUtils.splitPastedRows(text).forEach((fields, index) => {
+            const line = index + 1;
+            if (fields.length !== 2) {
+                skipped.push({ line, reason: 'expected a time and a probability' });
+                return;
+            }
+            
+            const years = this._parseTime(fields[0], context);
+            let y = this.conversionUtils.parseProbabilityInput(fields[1]);
+            if (years === null) {
+                skipped.push({ line, reason: `could not read time '${fields[0]}'` });
+                return;
+            }
+            if (y === null) {
+                skipped.push({ line, reason: `could not read probability '${fields[1]}'` });
+                return;
+            }
+            
+            const x = this._convertToNormalizedX(this._clipTimeValue(years, context), context);
+            if (context.isSurvival) {
+                y = 1 - y; // Survival → CDF for storage
+            }
+            
+            if (isQuantile) {
+                const row = updatedTable.findIndex(point => Math.abs(point.y - y) < 1e-9);
+                if (row === -1) {
+                    skipped.push({ line, reason: `${fields[1]} is not one of this table's probabilities` });
+                    return;
+                }
+                updatedTable[row] = { x, y: updatedTable[row].y };
+            } else {
+                const row = updatedTable.findIndex(point => Math.abs(point.x - x) < 0.001);
+                if (row === -1) {
+                    updatedTable.push({ x, y });
+                } else {
+                    updatedTable[row] = { x: updatedTable[row].x, y };
+                }
+            }
+            pasted++;
+        });
+        
+        if (pasted === 0) {
+            return { pasted, skipped };
+        }
+        
+        // Quantile probabilities can't be repaired, so pasted times must keep them in order
+        if (isQuantile) {
+            const ys = this._sortUnique(updatedTable).map(point => point.y);
+            if (ys.length !== updatedTable.length || !this._isNonDecreasing(ys)) {
+                return { pasted: 0, skipped: [{ line: null, reason: 'later probabilities must come at later times' }] };
+            }
+        }
+        
+        try {
+            this.setTableState(tableId, updatedTable);
+        } catch (error) {
+            return { pasted: 0, skipped: [{ line: null, reason: error.message }] };
+        }
+        
+        console.log(`📋 Pasted ${pasted} rows into ${tableId} (${skipped.length} skipped)`);
+        return { pasted, skipped };
+    }
+    
+    /**
+     * Move a point to new normalized coordinates (chart dragging). Follows the
+     * cell-edit neighbour rules, except the point can't pass its neighbours in
+     * time, so row indices stay put for the whole drag. Times snap to what the
+     * table shows, and never to a time shown for a neighbour. Returns the accepted point.
+     */
+    movePoint(tableId, rowIndex, x, y) {
+        const tableData = this.getTableState(tableId);
+        const context = this.getTableContext(tableId);
+        
+        if (rowIndex < 0 || rowIndex >= tableData.length) {
+            return null;
+        }
+        
+        const oldPoint = tableData[rowIndex];
+        const prev = tableData[rowIndex - 1];
+        const next = tableData[rowIndex + 1];
+        
+        // Stay strictly between the neighbouring times (and on the axis)
+        const minGap = 0.001; // Same precision as _xValueExists
+        const minX = prev ? prev.x + minGap : 0;
+        const maxX = next ? next.x - minGap : 1;
+        let xNew = minX <= maxX ? Math.max(minX, Math.min(maxX, x)) : oldPoint.x;
+        if (xNew !== oldPoint.x) {
+            xNew = this._snapDraggedX(xNew, oldPoint.x, minX, maxX, [prev, next], context);
+        }
+        
+        // Quantile probabilities are fixed; otherwise clip like _updateProbabilityCell
+        let yNew = oldPoint.y;
+        if (context.elicitation !== 'quantile') {
+            const prevY = prev ? prev.y : 0;
+            const nextY = next ? next.y : 1;
+            yNew = Math.max(prevY, Math.min(nextY, y));
+        }
+        
+        if (xNew !== oldPoint.x || yNew !== oldPoint.y) {
+            const updatedTable = [...tableData];
+            updatedTable[rowIndex] = { x: xNew, y: yNew };
+            this.setTableState(tableId, updatedTable, { coalesceKey: `move:${rowIndex}` });
+        }
+        
+        return { x: xNew, y: yNew };
     }
 
     // === CELL UPDATE IMPLEMENTATIONS ===
@@ -364,15 +930,10 @@ class TableManager extends EventTarget {
         const { x: xOld, y: yOld } = oldPoint;
         
         // Parse new date based on context
-        let newYears;
-        if (context.mode === 'timeline') {
-            newYears = this.conversionUtils.parseAbsoluteYear(newDateStr);
-        } else {
-            newYears = this.conversionUtils.parseDuration(newDateStr);
-        }
+        const newYears = this._parseTime(newDateStr, context);
         
         if (newYears === null) {
-            return false; // Parse failed
+            return this._rejected(this._describeTimeParseFailure(newDateStr, context));
         }
         
         // Clip to valid range and convert to normalized space
@@ -384,7 +945,8 @@ class TableManager extends EventTarget {
         tableWithoutCurrent.splice(rowIndex, 1);
         
         if (this._xValueExists(tableWithoutCurrent, xNew)) {
-            return false; // X value collision
+            const clash = this.formatYearsForDisplay(clippedYears, context);
+            return this._rejected(`Another row already has the time ${clash}`);
         }
         
         // Find surrounding values and constrain Y
@@ -401,9 +963,21 @@ class TableManager extends EventTarget {
         
         // Create updated table
         const updatedTable = this._insertRowSorted(tableWithoutCurrent, { x: xNew, y: yNew });
-        this.setTableState(tableId, updatedTable);
+        this.setTableState(tableId, updatedTable, { coalesceKey: `cell:${rowIndex}:x` });
         
-        return true;
+        const newRowIndex = updatedTable.findIndex(point => point.x === xNew);
+        const adjustments = [];
+        if (this._changesDisplayedTime(newYears, clippedYears, context)) {
+            adjustments.push(`Time moved to ${this.formatYearsForDisplay(clippedYears, context)}, the edge of the chart`);
+        }
+        if (this._changesDisplayedProbability(yOld, yNew, context)) {
+            adjustments.push(`Probability changed to ${this.formatProbabilityForDisplay(yNew, context)} ` +
+                `to fit between ${this._describeNeighbourRange(yMin, yMax, context)} at the new time`);
+        }
+        
+        return adjustments.length > 0
+            ? this._clipped(newRowIndex, adjustments.join('. '))
+            : this._accepted(newRowIndex);
     }
     
     /**
@@ -415,7 +989,7 @@ class TableManager extends EventTarget {
         // Parse probability
         let newProb = this.conversionUtils.parseProbabilityInput(newProbStr);
         if (newProb === null) {
-            return false; // Parse failed
+            return this._rejected(`'${newProbStr}' is not a probability - use e.g. 25% or 0.25`);
         }
         
         // Transform survival functions before validation/storage
@@ -432,9 +1006,225 @@ class TableManager extends EventTarget {
         const updatedTable = [...tableData];
         updatedTable[rowIndex] = { ...updatedTable[rowIndex], y: clippedProb };
         
+        this.setTableState(tableId, updatedTable, { coalesceKey: `cell:${rowIndex}:y` });
+        
+        if (this._changesDisplayedProbability(newProb, clippedProb, context)) {
+            return this._clipped(rowIndex, `Changed to ${this.formatProbabilityForDisplay(clippedProb, context)} ` +
+                `to stay between ${this._describeNeighbourRange(prevY, nextY, context)} in the rows around it`);
+        }
+        return this._accepted(rowIndex);
+    }
+
+    /**
+     * Update time cell of a quantile table: probability stays put, so the new
+     * time must fall between the neighbouring quantiles' times
+     */
+    _updateQuantileTimeCell(tableId, rowIndex, newDateStr, context) {
+        const tableData = this.getTableState(tableId);
+        
+        const newYears = this._parseTime(newDateStr, context);
+        
+        if (newYears === null) {
+            return this._rejected(this._describeTimeParseFailure(newDateStr, context));
+        }
+        
+        const clippedYears = this._clipTimeValue(newYears, context);
+        const xNew = this._convertToNormalizedX(clippedYears, context);
+        
+        // Keep order: later quantiles must come at later times
+        const precedingX = rowIndex > 0 ? tableData[rowIndex - 1].x : -Infinity;
+        const followingX = rowIndex < tableData.length - 1 ? tableData[rowIndex + 1].x : Infinity;
+        
+        if (xNew <= precedingX || xNew >= followingX) {
+            const bounds = [precedingX, followingX]
+                .filter(isFinite)
+                .map(x => this.formatTimeForDisplay(x, context));
+            const range = rowIndex === 0 ? `before ${bounds[0]}`
+                : rowIndex === tableData.length - 1 ? `after ${bounds[0]}`
+                : `between ${bounds[0]} and ${bounds[1]}`;
+            return this._rejected(`Must be ${range} so the probabilities stay in order`);
+        }
+        
+        const updatedTable = [...tableData];
+        updatedTable[rowIndex] = { ...updatedTable[rowIndex], x: xNew };
+        
+        this.setTableState(tableId, updatedTable, { coalesceKey: `cell:${rowIndex}:x` });
+        
+        if (this._changesDisplayedTime(newYears, clippedYears, context)) {
+            return this._clipped(rowIndex, `Time moved to ${this.formatYearsForDisplay(clippedYears, context)}, the edge of the chart`);
+        }
+        return this._accepted(rowIndex);
+    }
+    
+    /**
+     * Snap a dragged x to its displayed time (so typing the shown text back changes
+     * nothing), never to a time shown for a neighbour: if x itself can't be used,
+     * take the farthest usable time between the old x and x
+     */
+    _snapDraggedX(x, oldX, minX, maxX, neighbours, context) {
+        const snap = (candidate) => {
+            const shown = this.formatTimeForDisplay(candidate, context);
+            const years = this._parseTime(shown, context);
+            if (years === null || neighbours.some(point => point && this.formatTimeForDisplay(point.x, context) === shown)) {
+                return null;
+            }
+            const snapped = this._convertToNormalizedX(this._clipTimeValue(years, context), context);
+            return snapped >= minX && snapped <= maxX ? snapped : null;
+        };
+        
+        const direct = snap(x);
+        if (direct !== null) {
+            return direct;
+        }
+        
+        // Usable times run from oldX toward x, so bisect for the last one
+        let usable = oldX;
+        let lo = oldX;
+        let hi = x;
+        for (let i = 0; i < 30; i++) {
+            const mid = (lo + hi) / 2;
+            const snapped = snap(mid);
+            if (snapped !== null) {
+                usable = snapped;
+                lo = mid;
+            } else {
+                hi = mid;
+            }
+        }
+        return usable;
+    }
+    
+    // === CELL UPDATE RESULTS ===
+    
+    _accepted(rowIndex) {
+        return { status: 'accepted', rowIndex };
+    }
+    
+    _clipped(rowIndex, reason) {
+        return { status: 'clipped', rowIndex, reason };
+    }
+    
+    _rejected(reason) {
+        return { status: 'rejected', reason };
+    }
+    
+    /**
+     * Whether an adjustment shows up in the table (rounding noise isn't worth a message)
+     */
+    _changesDisplayedTime(fromYears, toYears, context) {
+        return this.formatYearsForDisplay(fromYears, context) !== this.formatYearsForDisplay(toYears, context);
+    }
+    
+    _changesDisplayedProbability(fromY, toY, context) {
+        return this.formatProbabilityForDisplay(fromY, context) !== this.formatProbabilityForDisplay(toY, context);
+    }
+    
+    /**
+     * Why a time didn't parse, with the range the axis accepts
+     */
+    _describeTimeParseFailure(timeStr, context) {
+        const axis = this._getAxis(context);
+        if (context.mode === 'timeline') {
+            return `'${timeStr}' is not a year between ${axis.min} and ${axis.max}`;
+        }
+        return `'${timeStr}' is not a duration - use e.g. 5 years or 6 months`;
+    }
+    
+    /**
+     * Displayed probability range between two stored neighbours, low to high
+     * (survival tables show 1 - stored, which flips the order)
+     */
+    _describeNeighbourRange(lowerY, upperY, context) {
+        const ends = [lowerY, upperY].map(y => this.formatProbabilityForDisplay(y, context));
+        if (context.isSurvival) {
+            ends.reverse();
+        }
+        return `${ends[0]} and ${ends[1]}`;
+    }
+    
+    /**
+     * Add the lowest configured quantile not yet in the table, placed
+     * halfway between the times of its neighbouring quantiles
+     */
+    _addQuantileRow(tableId) {
+        const tableData = this.getTableState(tableId);
+        const missing = this._getMissingQuantiles(tableId);
+        
+        if (missing.length === 0) {
+            return false; // Every quantile already has a row
+        }
+        
+        const y = missing[0];
+        const preceding = tableData.filter(point => point.y < y).pop();
+        const following = tableData.find(point => point.y > y);
+        
+        const xMin = preceding ? preceding.x : 0;
+        const xMax = following ? following.x : 1;
+        const x = (xMin + xMax) / 2;
+        
+        if (this._xValueExists(tableData, x)) {
+            return false; // Neighbours too close to fit another row
+        }
+        
+        const updatedTable = this._insertRowSorted(tableData, { x, y });
         this.setTableState(tableId, updatedTable);
+        
         return true;
     }
+    
+    /**
+     * Configured quantiles (in stored CDF space, ascending) without a row
+     */
+    _getMissingQuantiles(tableId) {
+        const context = this.getTableContext(tableId);
+        const tableData = this.getTableState(tableId);
+        
+        return context.quantiles
+            .map(q => this._quantileToStoredY(q, context))
+            .filter(y => !tableData.some(point => Math.abs(point.y - y) < 1e-9))
+            .sort((a, b) => a - b);
+    }
+    
+    /**
+     * Convert a configured (displayed) quantile probability to stored CDF space
+     */
+    _quantileToStoredY(quantile, context) {
+        return context.isSurvival ? 1 - quantile : quantile;
+    }
+    
+    /**
+     * Rows of a quantile table whose probability isn't one of the configured
+     * quantiles, or repeats one (empty for other tables)
+     */
+    _findQuantileProblems(data, context) {
+        if (context.elicitation !== 'quantile') {
+            return [];
+        }
+        if (!Array.isArray(context.quantiles)) {
+            return ['Quantile table has no configured quantiles'];
+        }
+        
+        const allowed = context.quantiles.map(q => this._quantileToStoredY(q, context));
+        const problems = [];
+        
+        data.forEach((point, index) => {
+            const shown = this.formatProbabilityForDisplay(point.y, context);
+            if (!allowed.some(y => Math.abs(point.y - y) < 1e-9)) {
+                problems.push(`Row ${index + 1}: ${shown} is not one of this table's probabilities`);
+            } else if (data.slice(0, index).some(other => Math.abs(other.y - point.y) < 1e-9)) {
+                problems.push(`Row ${index + 1}: ${shown} already has a row`);
+            }
+        });
+        
+        return problems;
+    }
+    
+    /**
+     * Check whether a table uses fixed-probability elicitation
+     */
+    _isQuantileTable(tableId) {
+        return this.getTableContext(tableId).elicitation === 'quantile';
+    }
 
     // === HELPER FUNCTIONS ===
     
@@ -443,17 +1233,11 @@ class TableManager extends EventTarget {
      */
     _normalizeDefaultData(defaultData, context) {
         return defaultData.map(item => {
-            let timeYears, normalizedX;
-            
-            if (context.mode === 'timeline') {
-                // Timeline mode: parse absolute years
-                timeYears = this.conversionUtils.parseAbsoluteYear(item.time);
-                normalizedX = this._yearToNormalized(timeYears);
-            } else {
-                // Duration mode: parse durations  
-                timeYears = this.conversionUtils.parseDuration(item.time);
-                normalizedX = this._timeToNormalized(timeYears);
+            const timeYears = this._parseTime(item.time, context);
+            if (timeYears === null) {
+                throw new Error(`Default time '${item.time}' is not valid for the ${context.mode} axis`);
             }
+            const normalizedX = this._convertToNormalizedX(this._clipTimeValue(timeYears, context), context);
             
             let probabilityValue = this.conversionUtils.parseProbabilityInput(item.probability);
             
@@ -470,13 +1254,47 @@ class TableManager extends EventTarget {
     }
     
     /**
-     * Ensure data maintains invariants (sorted, unique x-values, monotonic y)
+     * Ensure data maintains invariants (sorted, unique x-values, non-decreasing y)
+     * Returns {data, repairs}; throws if y decreases and strategy is 'reject'
      */
-    _ensureInvariants(data) {
-        // Sort by x
-        const sorted = [...data].sort((a, b) => a.x - b.x);
+    _ensureInvariants(data, strategy = this.defaultRepairStrategy) {
+        const unique = this._sortUnique(data);
+        const ys = unique.map(point => point.y);
+        
+        if (this._isNonDecreasing(ys)) {
+            return { data: unique, repairs: [] };
+        }
+        
+        let repairedYs;
+        switch (strategy) {
+            case 'reject':
+                throw new Error('Probabilities must not decrease over time');
+            case 'clip':
+                // Raise each point to its predecessor
+                repairedYs = ys.map((y, i) => Math.max(y, ...ys.slice(0, i)));
+                break;
+            case 'isotonic':
+                repairedYs = this.isotonicSolver.isotonicRegression(ys, { lower: 0, upper: 1 });
+                break;
+            default:
+                throw new Error(`Unknown repair strategy '${strategy}'`);
+        }
+        
+        const repairs = unique
+            .map((point, index) => ({ index, x: point.x, from: point.y, to: repairedYs[index] }))
+            .filter(repair => repair.from !== repair.to);
         
-        // Remove duplicates by x (keep first occurrence)
+        return {
+            data: unique.map((point, index) => ({ ...point, y: repairedYs[index] })),
+            repairs
+        };
+    }
+    
+    /**
+     * Sort by x and drop duplicate x-values (keep first occurrence)
+     */
+    _sortUnique(data) {
+        const sorted = [...data].sort((a, b) => a.x - b.x);
         const unique = [];
         let lastX = -1;
         
@@ -487,10 +1305,27 @@ class TableManager extends EventTarget {
             }
         }
         
-        // Ensure monotonic y (this is more complex, for now just return sorted unique)
         return unique;
     }
     
+    /**
+     * Check that values never decrease
+     */
+    _isNonDecreasing(values) {
+        return values.every((value, i) => i === 0 || value >= values[i - 1]);
+    }
+    
+    /**
+     * Monotonicity repair strategy for a table (quantile probabilities can't be
+     * moved, so those tables always reject)
+     */
+    _getRepairStrategy(tableId) {
+        if (this._isQuantileTable(tableId)) {
+            return 'reject';
+        }
+        return this.getTableContext(tableId).repairStrategy || this.defaultRepairStrategy;
+    }
+    
     /**
      * Check if x-value already exists
      */
@@ -538,49 +1373,36 @@ class TableManager extends EventTarget {
     }
     
     /**
-     * Clip time value to valid range
+     * Axis range for a context (contexts saved before axes existed get the mode default)
      */
-    _clipTimeValue(years, context) {
-        if (context.mode === 'timeline') {
-            return Math.max(2025, Math.min(2065, years));
-        } else {
-            const minTime = 1 / 365.25; // 1 day
-            const maxTime = 100; // 1 century
-            return Math.max(minTime, Math.min(maxTime, years));
-        }
+    _getAxis(context) {
+        return context.axis || this.conversionUtils.getDefaultAxis(context.mode);
     }
     
     /**
-     * Convert time to normalized X coordinate
+     * Parse time input in years (absolute for timeline, elapsed for duration)
      */
-    _convertToNormalizedX(years, context) {
+    _parseTime(timeStr, context) {
         if (context.mode === 'timeline') {
-            return this._yearToNormalized(years);
-        } else {
-            return this._timeToNormalized(years);
+            return this.conversionUtils.parseAbsoluteYear(timeStr, this._getAxis(context));
         }
+        return this.conversionUtils.parseDuration(timeStr);
     }
     
     /**
-     * Linear year normalization (2025-2065 → 0-1)
+     * Clip time value to the axis range
      */
-    _yearToNormalized(year) {
-        const currentYear = 2025;
-        const maxYear = 2065;
-        return Math.max(0, Math.min(1, (year - currentYear) / (maxYear - currentYear)));
+    _clipTimeValue(years, context) {
+        const axis = this._getAxis(context);
+        return Math.max(axis.min, Math.min(axis.max, years));
     }
     
     /**
-     * Logarithmic time normalization (uses existing MetalogUtils if available)
+     * Convert time to normalized X coordinate (linear or log per axis)
      */
-    _timeToNormalized(years) {
-        // This would need to use the distributions/metalog-core.js functions
-        // For now, use a simple log scale as placeholder
-        const minLog = Math.log(1 / 365.25); // 1 day
-        const maxLog = Math.log(100); // 1 century
-        const currentLog = Math.log(years);
-        
-        return Math.max(0, Math.min(1, (currentLog - minLog) / (maxLog - minLog)));
+    _convertToNormalizedX(years, context) {
+        const x = this.conversionUtils.toNormalized(years, this._getAxis(context));
+        return Math.max(0, Math.min(1, x));
     }
 
     // === DISPLAY HELPERS ===
@@ -589,16 +1411,19 @@ class TableManager extends EventTarget {
      * Format time value for display based on context
      */
     formatTimeForDisplay(normalizedX, context) {
+        const years = this.conversionUtils.fromNormalized(normalizedX, this._getAxis(context));
+        return this.formatYearsForDisplay(years, context);
+    }
+    
+    /**
+     * Format a real time value (calendar year or duration in years) for display
+     */
+    formatYearsForDisplay(years, context) {
         if (context.mode === 'timeline') {
-            // Convert back to year
-            const year = 2025 + normalizedX * (2065 - 2025);
-            const quarterRounded = Math.round(year * 4) / 4;
+            // Absolute year, rounded to the quarter
+            const quarterRounded = Math.round(years * 4) / 4;
             return quarterRounded.toString();
         } else {
-            // Convert back to duration and format
-            // This would use distributions/metalog-core.js functions
-            // Placeholder implementation
-            const years = Math.exp(Math.log(1/365.25) + normalizedX * (Math.log(100) - Math.log(1/365.25)));
             return this.conversionUtils.formatTime(years);
         }
     }
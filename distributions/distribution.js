@@ -1,46 +1,179 @@
 // Distribution Coordination - Main interface for fitting and visualization
-// Tries metalog first, falls back to interpolation
+// Tries metalog first (or a parametric family, or the best of all), falls back to interpolation
 
-import { fitMetalogSmart, evaluateMetalog } from './metalog-core.js';
-import { createInterpolation, evaluateInterpolation } from './interpolation.js';
+import { fitMetalogSmart, evaluateMetalog, metalogSpaceSlope, getFitResiduals, resolveFitSettings } from './metalog-core.js';
+import { evaluateMetalogCdf } from './metalog-cdf.js';
+import { evaluateMetalogDerivative } from './metalog-feasibility.js';
+import { createInterpolation, evaluateInterpolation, evaluateInterpolationCdf, getInterpolationDensityData } from './interpolation.js';
+import { PARAMETRIC_FAMILIES, isParametricFamily, supportWithinBounds, fitParametric, evaluateParametric, evaluateParametricCdf, evaluateParametricDensity } from './parametric.js';
 
 // =============================================================================
 // MAIN DISTRIBUTION INTERFACE
 // =============================================================================
 
-export function fitDistribution(dataPoints) {
+// options.bounds: {lower?, upper?} in normalized x - fit a bounded (log/logit) metalog
+// options.tolerance / minTerms / maxTerms / fallback - metalog fit settings (see metalog-core)
+// options.family: 'metalog' (default), a parametric family ('lognormal', 'gamma', 'weibull',
+//   'genlogistic'; bounds don't apply) or 'auto' (best fit of all that respect the bounds, see fitAutomatically)
+// options.axisScale: 'linear' (default) or 'log' - the table's time axis. Parametric families
+//   need a linear one: on a log axis x is log-time, and their parameters wouldn't describe time
+// The result's `fit` records the settings used and each k tried: {...settings, family, attempts, error?}
+export function fitDistribution(dataPoints, options = {}) {
     console.log(`📊 Fitting distribution to ${dataPoints.length} points in [0,1]² space:`, dataPoints);
+    
+    // Invalid settings are a configuration error, not a reason to interpolate
+    const { settings, family } = resolveFitOptions(options);
+    
+    if (family === 'auto') {
+        return fitAutomatically(dataPoints, options, settings);
+    }
 
     try {
+        if (isParametricFamily(family)) {
+            return { ...fitParametric(dataPoints, family), fit: { ...settings, family, attempts: [] } };
+        }
+        
         // Try metalog first
-        const metalog = fitMetalogSmart(dataPoints);
+        const { metalog, attempts } = fitMetalogSmart(dataPoints, { ...options, ...settings });
+        const fit = { ...settings, family, attempts };
         
         if (metalog) {
             console.log("✅ Metalog fitting successful");
             return {
                 type: 'metalog',
                 metalog: metalog,
-                dataPoints: dataPoints
+                dataPoints: dataPoints,
+                fit
             };
         } else {
             console.log("✅ Using interpolation fallback");
-            const interpolation = createInterpolation(dataPoints);
-            return interpolation;
+            const interpolation = createInterpolation(dataPoints, options.bounds);
+            return { ...interpolation, fit };
         }
     } catch (error) {
         console.warn("⚠️ Fitting failed, using simple interpolation:", error.message);
-        const interpolation = createInterpolation(dataPoints);
-        return interpolation;
+        const interpolation = createInterpolation(dataPoints, options.bounds);
+        return { ...interpolation, fit: { ...settings, family, attempts: [], error: error.message } };
     }
 }
 
+// Fit settings with defaults filled in, plus the family; throws for invalid settings,
+// an unknown family or a parametric family on a log axis (TableManager checks table
+// configs with this at startup)
+export function resolveFitOptions(options = {}) {
+    const settings = resolveFitSettings(options);
+    const family = options.family || 'metalog';
+    if (family !== 'metalog' && family !== 'auto' && !isParametricFamily(family)) {
+        throw new Error(`Unknown fit family '${family}' (expected metalog, auto, ${Object.keys(PARAMETRIC_FAMILIES).join(', ')})`);
+    }
+    if (isParametricFamily(family) && options.axisScale === 'log') {
+        throw new Error(`The ${family} family needs a linear time axis (on a log axis its parameters would describe log-time)`);
+    }
+    return { settings, family };
+}
+
+// Candidates within this RMS probability error of the best count as equally good,
+// and the one with the fewest parameters wins
+const AUTO_ERROR_MARGIN = 0.005;
+
+// Fit metalog and every parametric family whose support fits options.bounds (none
+// for 'both'; not genlogistic for 'lower'; none on a log axis), keep those within
+// tolerance at every point, and pick the best by RMS probability error (fewer
+// parameters on near-ties).
+// fit.candidates records each family's {family, rmsError, maxTimeError, numParameters}
+function fitAutomatically(dataPoints, options, settings) {
+    const distributions = [];
+    let attempts = [];
+    
+    try {
+        const result = fitMetalogSmart(dataPoints, { ...options, ...settings });
+        attempts = result.attempts;
+        if (result.metalog) {
+            distributions.push({ type: 'metalog', metalog: result.metalog, dataPoints });
+        }
+    } catch (error) {
+        console.log(`⚠️ Metalog candidate failed: ${error.message}`);
+    }
+    
+    const parametricFamilies = options.axisScale === 'log' ? [] : Object.keys(PARAMETRIC_FAMILIES);
+    if (options.axisScale === 'log') {
+        console.log('⏭️ Skipping parametric candidates: log time axis');
+    }
+    
+    for (const family of parametricFamilies) {
+        if (!supportWithinBounds(family, options.bounds)) {
+            console.log(`⏭️ Skipping ${family} candidate: mass outside the fit bounds`);
+            continue;
+        }
+        try {
+            distributions.push(fitParametric(dataPoints, family));
+        } catch (error) {
+            console.log(`⚠️ ${family} candidate failed: ${error.message}`);
+        }
+    }
+    
+    const candidates = distributions.map(distribution => ({
+        distribution,
+        family: distribution.type === 'metalog' ? 'metalog' : distribution.family,
+        rmsError: getCdfRmsError(distribution, dataPoints),
+        maxTimeError: Math.max(...getResiduals(distribution).map(r => r.error)),
+        numParameters: distribution.type === 'metalog'
+            ? distribution.metalog.numTerms
+            : PARAMETRIC_FAMILIES[distribution.family].parameterNames.length
+    }));
+    
+    const fit = {
+        ...settings,
+        family: 'auto',
+        attempts,
+        candidates: candidates.map(({ distribution, ...scores }) => scores)
+    };
+    
+    const acceptable = candidates.filter(c => isFinite(c.rmsError) && c.maxTimeError <= settings.tolerance);
+    if (acceptable.length === 0) {
+        console.log("💀 No family fits within tolerance - using interpolation");
+        return { ...createInterpolation(dataPoints, options.bounds), fit };
+    }
+    
+    const bestError = Math.min(...acceptable.map(c => c.rmsError));
+    const [chosen] = acceptable
+        .filter(c => c.rmsError <= bestError + AUTO_ERROR_MARGIN)
+        .sort((a, b) => a.numParameters - b.numParameters || a.rmsError - b.rmsError);
+    
+    console.log(`🏆 Automatic fit chose ${chosen.family} (RMS error ${chosen.rmsError.toFixed(4)})`);
+    return { ...chosen.distribution, fit };
+}
+
+// Root mean square of F(x_i) - y_i over the input points
+function getCdfRmsError(distribution, dataPoints) {
+    const total = dataPoints.reduce((sum, point) => {
+        const residual = evaluateCdf(distribution, point.x) - point.y;
+        return sum + residual * residual;
+    }, 0);
+    return Math.sqrt(total / dataPoints.length);
+}
+
+// Fit plus everything drawn from it, as plain data (runs in the fit worker)
+export function fitAndSample(dataPoints, options = {}, numPoints = 200) {
+    const distribution = fitDistribution(dataPoints, options);
+    return {
+        distribution,
+        plotData: getPlotData(distribution, numPoints),
+        densityData: getDensityData(distribution, numPoints),
+        residuals: getResiduals(distribution)
+    };
+}
+
 // =============================================================================
 // UNIFIED EVALUATION INTERFACE
 // =============================================================================
 
+// Quantile function: time x at which the CDF reaches probability y
 export function evaluate(distribution, y) {
     if (distribution.type === 'metalog') {
         return evaluateMetalog(distribution.metalog, y);
+    } else if (distribution.type === 'parametric') {
+        return evaluateParametric(distribution, y);
     } else if (distribution.type === 'interpolation') {
         return evaluateInterpolation(distribution, y);
     }
@@ -48,6 +181,19 @@ export function evaluate(distribution, y) {
     throw new Error(`Unknown distribution type: ${distribution.type}`);
 }
 
+// CDF: probability reached by time x (x may lie outside [0,1])
+export function evaluateCdf(distribution, x) {
+    if (distribution.type === 'metalog') {
+        return evaluateMetalogCdf(distribution.metalog, x);
+    } else if (distribution.type === 'parametric') {
+        return evaluateParametricCdf(distribution, x);
+    } else if (distribution.type === 'interpolation') {
+        return evaluateInterpolationCdf(distribution, x);
+    }
+    
+    throw new Error(`Unknown distribution type: ${distribution.type}`);
+}
+
 // =============================================================================
 // PLOT DATA GENERATION
 // =============================================================================
@@ -55,6 +201,8 @@ export function evaluate(distribution, y) {
 export function getPlotData(distribution, numPoints = 200) {
     if (distribution.type === 'metalog') {
         return sampleMetalog(distribution, numPoints);
+    } else if (distribution.type === 'parametric') {
+        return sampleParametric(distribution, numPoints);
     } else if (distribution.type === 'interpolation') {
         return distribution.points; // Already discrete points
     }
@@ -115,6 +263,117 @@ function sampleMetalog(distribution, numPoints) {
     return data;
 }
 
+// Parametric CDFs are cheap, so sample evenly across time instead
+function sampleParametric(distribution, numPoints) {
+    const data = [];
+    for (let i = 0; i <= numPoints; i++) {
+        const x = i / numPoints;
+        data.push({ x, y: evaluateParametricCdf(distribution, x) });
+    }
+    return data;
+}
+
+// =============================================================================
+// DENSITY DATA
+// =============================================================================
+
+// Implied density {x, density, cdf} per unit of normalized time, for density and hazard views
+export function getDensityData(distribution, numPoints = 200) {
+    if (distribution.type === 'metalog') {
+        return sampleMetalogDensity(distribution.metalog, numPoints);
+    } else if (distribution.type === 'parametric') {
+        return sampleParametricDensity(distribution, numPoints);
+    } else if (distribution.type === 'interpolation') {
+        return getInterpolationDensityData(distribution);
+    }
+    
+    throw new Error(`Unknown distribution type: ${distribution.type}`);
+}
+
+function sampleMetalogDensity(metalog, numPoints) {
+    const data = [];
+    
+    // Same probability grid as sampleMetalog; density is 1 / (dx/dy) at x = M(y)
+    // (bounded metalogs: dx/dy = dx/dz · M'(y))
+    for (let i = 0; i <= numPoints; i++) {
+        const y = 0.001 + (0.999 - 0.001) * (i / numPoints);
+        const x = evaluateMetalog(metalog, y);
+        const slope = metalogSpaceSlope(x, metalog.bounds) * evaluateMetalogDerivative(metalog, y);
+        
+        if (isFinite(x) && slope > 0) {
+            data.push({ x, density: 1 / slope, cdf: y });
+        }
+    }
+    
+    return data;
+}
+
+function sampleParametricDensity(distribution, numPoints) {
+    const data = [];
+    for (let i = 0; i <= numPoints; i++) {
+        const x = i / numPoints;
+        const density = evaluateParametricDensity(distribution, x);
+        
+        // Some shapes have an infinite density at x = 0
+        if (isFinite(density)) {
+            data.push({ x, density, cdf: evaluateParametricCdf(distribution, x) });
+        }
+    }
+    return data;
+}
+
+// =============================================================================
+// FIT RESIDUALS
+// =============================================================================
+
+// Per input point {x, y, fittedX, error}: fittedX is where the fitted curve reaches
+// the point's probability (interpolation passes through its points, so error ~0)
+export function getResiduals(distribution) {
+    if (distribution.type === 'metalog') {
+        return getFitResiduals(distribution.metalog, distribution.dataPoints);
+    } else if (distribution.type === 'parametric') {
+        return distribution.dataPoints.map(point => {
+            const fittedX = evaluateParametric(distribution, point.y);
+            return { x: point.x, y: point.y, fittedX, error: Math.abs(point.x - fittedX) };
+        });
+    } else if (distribution.type === 'interpolation') {
+        return distribution.originalData.map(point => {
+            const fittedX = evaluateInterpolation(distribution, point.y);
+            return { x: point.x, y: point.y, fittedX, error: Math.abs(point.x - fittedX) };
+        });
+    }
+    
+    throw new Error(`Unknown distribution type: ${distribution.type}`);
+}
+
+// =============================================================================
+// SUMMARY STATISTICS
+// =============================================================================
+
+// Median, mean, percentiles, IQR and probability mass outside the axis ([0,1] in x).
+// options.toValue maps normalized x to real units (years, calendar years);
+// options.percentiles lists the probabilities to report
+export function summarize(distribution, options = {}) {
+    const { percentiles = [0.1, 0.25, 0.5, 0.75, 0.9], toValue = (x) => x } = options;
+    const quantile = (p) => toValue(evaluate(distribution, p));
+    
+    // Mean = average of the quantile function, on a midpoint probability grid
+    const steps = 1000;
+    let total = 0;
+    for (let i = 0; i < steps; i++) {
+        total += quantile((i + 0.5) / steps);
+    }
+    
+    return {
+        median: quantile(0.5),
+        mean: total / steps,
+        percentiles: percentiles.map(p => ({ p, value: quantile(p) })),
+        iqr: quantile(0.75) - quantile(0.25),
+        massBelow: evaluateCdf(distribution, 0),
+        massAbove: 1 - evaluateCdf(distribution, 1)
+    };
+}
+
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
@@ -125,13 +384,24 @@ export function getDistributionInfo(distribution) {
             type: 'metalog',
             numTerms: distribution.metalog.numTerms,
             numDataPoints: distribution.dataPoints.length,
-            coefficients: distribution.metalog.coefficients
+            coefficients: distribution.metalog.coefficients,
+            bounds: distribution.metalog.bounds || null,
+            fit: distribution.fit || null
+        };
+    } else if (distribution.type === 'parametric') {
+        return {
+            type: 'parametric',
+            family: distribution.family,
+            parameters: distribution.parameters,
+            numDataPoints: distribution.dataPoints.length,
+            fit: distribution.fit || null
         };
     } else if (distribution.type === 'interpolation') {
         return {
             type: 'interpolation',
             numPoints: distribution.points.length,
-            numDataPoints: distribution.originalData.length
+            numDataPoints: distribution.originalData.length,
+            fit: distribution.fit || null
         };
     }
     
@@ -0,0 +1,64 @@
+// Fit Worker - Runs curve fitting off the main thread
+// Classic worker: loads math.js (same build as index.html), then the distribution module
+//
+// Messages in:
+// - {type: 'fit', id, dataPoints, options, numPoints}: fit and sample one table
+// - {type: 'cancel', id}: drop a queued fit whose data has since changed
+// Messages out:
+// - {id, result: {distribution, plotData, densityData, residuals}} | {id, error}
+//   (nothing for cancelled fits)
+// - {type: 'unavailable', error}: the distribution module failed to load
+//
+// Fits run one per task, so cancel messages posted while a fit is running are
+// handled before the next queued fit starts
+
+importScripts('https://cdn.jsdelivr.net/npm/mathjs@11.11.0/lib/browser/math.min.js');
+
+const distributionModule = import('./distribution.js');
+distributionModule.catch(error => self.postMessage({ type: 'unavailable', error: error.message }));
+
+const queue = [];
+let draining = false;
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    if (message.type === 'cancel') {
+        const index = queue.findIndex(job => job.id === message.id);
+        if (index !== -1) {
+            queue.splice(index, 1);
+        }
+        return;
+    }
+
+    if (message.type === 'fit') {
+        queue.push(message);
+        scheduleNext();
+    }
+};
+
+function scheduleNext() {
+    if (!draining && queue.length > 0) {
+        draining = true;
+        setTimeout(runNext, 0);
+    }
+}
+
+async function runNext() {
+    const job = queue.shift();
+    if (!job) {
+        draining = false;
+        return;
+    }
+
+    try {
+        const { fitAndSample } = await distributionModule;
+        const result = fitAndSample(job.dataPoints, job.options, job.numPoints);
+        self.postMessage({ id: job.id, result });
+    } catch (error) {
+        self.postMessage({ id: job.id, error: error.message });
+    }
+
+    draining = false;
+    scheduleNext();
+}
@@ -1,11 +1,20 @@
 // Interpolation Functions - Linear interpolation with logistic boundary extrapolation
 // Clean fallback when metalog fitting fails
+//
+// The curve is piecewise linear through the points (including the x=0 and x=1
+// boundary points); beyond the first/last point it follows logistic tails, i.e.
+// logit(y) continues linearly with slope tailSlope, so y only reaches 0 and 1
+// at x = -∞ and +∞. With bounds {lower?, upper?} (normalized x) the curve starts
+// at 0 on the lower bound / ends at 1 on the upper bound and stays flat beyond.
+
+// Tail steepness (logit units per unit of normalized time) when the data gives none
+const DEFAULT_TAIL_SLOPE = 5;
 
 // =============================================================================
 // MAIN INTERPOLATION INTERFACE
 // =============================================================================
 
-export function createInterpolation(dataPoints) {
+export function createInterpolation(dataPoints, bounds = null) {
     console.group("🔧 Creating interpolation data for visualization");
     console.log("📊 Raw input dataPoints:", dataPoints);
     
@@ -14,24 +23,183 @@ export function createInterpolation(dataPoints) {
     console.log("📊 Sorted dataPoints by y-value:", sortedPoints);
     
     // Add logistic boundary extrapolation
-    const extendedPoints = addLogisticBoundaryPoints(sortedPoints);
+    const { points: logisticPoints, logistic } = addLogisticBoundaryPoints(sortedPoints);
+    const extendedPoints = applyBounds(logisticPoints, sortedPoints, bounds);
+    const tailSlope = getTailSlope(logistic, sortedPoints);
     
     console.log(`📊 Extended ${sortedPoints.length} points to ${extendedPoints.length} points with logistic boundary extrapolation`);
     console.log("📊 Final extended points:", extendedPoints);
+    console.log(`📊 Tail slope: ${tailSlope.toFixed(4)}`);
     console.groupEnd();
     
     return {
         type: 'interpolation',
         points: extendedPoints,
-        originalData: dataPoints
+        originalData: dataPoints,
+        tailSlope,
+        bounds: bounds || null
     };
 }
 
-// Interpolation doesn't have continuous evaluation - just return null
+// Replace extrapolated boundary points with 0 at the lower bound / 1 at the upper bound
+function applyBounds(points, sortedData, bounds) {
+    if (!bounds || sortedData.length === 0) {
+        return points;
+    }
+    
+    let result = points;
+    const firstData = sortedData[0];
+    const lastData = sortedData[sortedData.length - 1];
+    
+    if (isFinite(bounds.lower) && firstData.x > bounds.lower) {
+        result = [{ x: bounds.lower, y: 0 }, ...result.filter(p => p.x >= firstData.x)];
+    }
+    if (isFinite(bounds.upper) && lastData.x < bounds.upper) {
+        result = [...result.filter(p => p.x <= lastData.x), { x: bounds.upper, y: 1 }];
+    }
+    
+    return result;
+}
+
+// =============================================================================
+// CONTINUOUS EVALUATION
+// =============================================================================
+
+// Quantile function: x at which the curve reaches probability y
+// (leftmost x on flat stretches; ±Infinity for y at or beyond 0 and 1)
 export function evaluateInterpolation(interpolation, y) {
-    // Could implement linear interpolation between points if needed
-    console.warn("⚠️ Interpolation evaluation not implemented - use discrete points");
-    return null;
+    const points = interpolation.points;
+    if (!points || points.length === 0) {
+        return null;
+    }
+    
+    const slope = interpolation.tailSlope || DEFAULT_TAIL_SLOPE;
+    const first = points[0];
+    const last = points[points.length - 1];
+    
+    if (y < first.y) {
+        return clampToBounds(tailQuantile(first, y, slope), interpolation.bounds);
+    }
+    if (y > last.y) {
+        return clampToBounds(tailQuantile(last, y, slope), interpolation.bounds);
+    }
+    
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        if (y <= b.y) {
+            if (b.y === a.y) {
+                return a.x;
+            }
+            return a.x + (y - a.y) / (b.y - a.y) * (b.x - a.x);
+        }
+    }
+    
+    return last.x;
+}
+
+// CDF: probability y reached by time x
+export function evaluateInterpolationCdf(interpolation, x) {
+    const points = interpolation.points;
+    if (!points || points.length === 0 || Number.isNaN(x)) {
+        return null;
+    }
+    
+    const slope = interpolation.tailSlope || DEFAULT_TAIL_SLOPE;
+    const first = points[0];
+    const last = points[points.length - 1];
+    const bounds = interpolation.bounds;
+    
+    // No probability mass outside the bounds
+    if (bounds && x < bounds.lower) {
+        return 0;
+    }
+    if (bounds && x > bounds.upper) {
+        return 1;
+    }
+    
+    if (x < first.x) {
+        return tailCdf(first, x, slope);
+    }
+    if (x > last.x) {
+        return tailCdf(last, x, slope);
+    }
+    
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        if (x <= b.x) {
+            if (b.x === a.x) {
+                return b.y;
+            }
+            return a.y + (x - a.x) / (b.x - a.x) * (b.y - a.y);
+        }
+    }
+    
+    return last.y;
+}
+
+// Density (per unit normalized time) of the piecewise-linear part: constant on each
+// segment, so each segment contributes its two end points as {x, density, cdf}
+export function getInterpolationDensityData(interpolation) {
+    const data = [];
+    const points = interpolation.points || [];
+    
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        if (b.x > a.x) {
+            const density = (b.y - a.y) / (b.x - a.x);
+            data.push({ x: a.x, density, cdf: a.y });
+            data.push({ x: b.x, density, cdf: b.y });
+        }
+    }
+    
+    return data;
+}
+
+function tailQuantile(anchor, y, slope) {
+    if (y <= 0) return -Infinity;
+    if (y >= 1) return Infinity;
+    return anchor.x + (logit(y) - logit(anchor.y)) / slope;
+}
+
+function tailCdf(anchor, x, slope) {
+    // A tail anchored at 0 or 1 stays there
+    if (anchor.y <= 0 || anchor.y >= 1) {
+        return anchor.y;
+    }
+    return 1 / (1 + Math.exp(-(logit(anchor.y) + slope * (x - anchor.x))));
+}
+
+function clampToBounds(x, bounds) {
+    if (!bounds) return x;
+    if (isFinite(bounds.lower) && x < bounds.lower) return bounds.lower;
+    if (isFinite(bounds.upper) && x > bounds.upper) return bounds.upper;
+    return x;
+}
+
+function logit(p) {
+    return Math.log(p / (1 - p));
+}
+
+// Tail steepness: the fitted logistic's k, else the data's overall logit slope
+function getTailSlope(logistic, points) {
+    if (logistic && Number.isFinite(logistic.k) && logistic.k > 0) {
+        return logistic.k;
+    }
+    
+    const inner = points.filter(p => p.y > 0 && p.y < 1);
+    if (inner.length >= 2) {
+        const a = inner[0];
+        const b = inner[inner.length - 1];
+        const slope = (logit(b.y) - logit(a.y)) / (b.x - a.x);
+        if (Number.isFinite(slope) && slope > 0) {
+            return slope;
+        }
+    }
+    
+    return DEFAULT_TAIL_SLOPE;
 }
 
 // =============================================================================
@@ -47,7 +215,7 @@ function addLogisticBoundaryPoints(normalizedPoints) {
     if (points.length < 2) {
         console.warn("⚠️ Need at least 2 points for logistic extrapolation");
         console.groupEnd();
-        return points;
+        return { points, logistic: null };
     }
     
     console.group("🔍 Point selection for logistic fitting");
@@ -81,9 +249,10 @@ function addLogisticBoundaryPoints(normalizedPoints) {
     });
     console.groupEnd();
 
+    let logistic = null;
     try {
         // Fit logistic curve
-        const logistic = fitLogisticCurve(fitPoints);
+        logistic = fitLogisticCurve(fitPoints);
         
         console.group("🎯 Boundary point extrapolation");
         
@@ -116,6 +285,7 @@ function addLogisticBoundaryPoints(normalizedPoints) {
     } catch (error) {
         console.group("⚠️ Logistic fitting failed - fallback extrapolation");
         console.warn("Error:", error.message);
+        logistic = null;
         
         // Fallback to flat extrapolation
         if (normalizedPoints[0].x > 0.001) {
@@ -133,7 +303,7 @@ function addLogisticBoundaryPoints(normalizedPoints) {
     console.log("📊 Final extrapolated points:", points);
     console.groupEnd();
     
-    return points;
+    return { points, logistic };
 }
 
 // =============================================================================
@@ -194,6 +364,11 @@ function fitLogisticCurve(points) {
     console.groupEnd();
     console.groupEnd();
     
+    // Flat data or zero probabilities give no usable (increasing) logistic
+    if (!Number.isFinite(k) || !Number.isFinite(x0) || k <= 0) {
+        throw new Error(`Degenerate logistic fit: k=${k}, x0=${x0}`);
+    }
+    
     return { L, k, x0 };
 }
 
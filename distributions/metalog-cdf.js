@@ -0,0 +1,75 @@
+// Metalog CDF Evaluation - probability reached by a given time
+// Metalogs only define the quantile function M(y), so the CDF is found by
+// monotone root finding: bisection on M(y) = x, in logit space for tail resolution
+
+import { getMetalogBasisValueUnclamped, fromMetalogSpace } from './metalog-core.js';
+
+// Probabilities closer to 0 or 1 than this are reported as exactly 0 or 1
+const TAIL_EPSILON = 1e-12;
+const MAX_ITERATIONS = 100;
+const X_TOLERANCE = 1e-10;
+
+// =============================================================================
+// MAIN CDF INTERFACE
+// =============================================================================
+
+export function evaluateMetalogCdf(metalog, x) {
+    if (Number.isNaN(x)) {
+        return null;
+    }
+    
+    // Bracket in logit space: M(lo) <= x <= M(hi)
+    let lo = logit(TAIL_EPSILON);
+    let hi = logit(1 - TAIL_EPSILON);
+    
+    // Times beyond what the tails reach within numerical precision
+    if (x <= quantileAtLogit(metalog, lo)) {
+        return 0;
+    }
+    if (x >= quantileAtLogit(metalog, hi)) {
+        return 1;
+    }
+    
+    // Bisection only relies on the bracket, so it converges even if
+    // rounding makes M slightly non-monotone somewhere
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+        const mid = (lo + hi) / 2;
+        const value = quantileAtLogit(metalog, mid);
+        
+        if (Math.abs(value - x) < X_TOLERANCE) {
+            return logistic(mid);
+        }
+        if (value < x) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+    
+    return logistic((lo + hi) / 2);
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+// Unclamped M(y) so out-of-range times find their true tail probability
+// (mapped back to time for bounded metalogs)
+function quantileAtLogit(metalog, z) {
+    const y = logistic(z);
+    let result = 0;
+    
+    for (let j = 1; j <= metalog.numTerms; j++) {
+        result += metalog.coefficients[j - 1] * getMetalogBasisValueUnclamped(y, j);
+    }
+    
+    return fromMetalogSpace(result, metalog.bounds);
+}
+
+function logit(p) {
+    return Math.log(p / (1 - p));
+}
+
+function logistic(z) {
+    return 1 / (1 + Math.exp(-z));
+}
@@ -1,5 +1,11 @@
 // Core Metalog Functions - Essential metalog mathematics only
 // Pure functions for metalog distribution fitting and evaluation
+//
+// Bounded variants (metalog.bounds = {lower?, upper?} in normalized x) fit the
+// metalog M to a transformed time z and map back, so quantiles stay in bounds:
+// - lower only: log-metalog,   z = ln(x - lower)
+// - both:       logit-metalog, z = ln((x - lower) / (upper - x))
+// - upper only: z = -ln(upper - x)
 
 import { checkMetalogFeasibility } from './metalog-feasibility.js';
 
@@ -52,26 +58,80 @@ export function validateMetalogData(data) {
 
 export function getMetalogBasisValue(y, j) {
     const safeY = Math.max(0.001, Math.min(0.999, y));
-    
+    return getMetalogBasisValueUnclamped(safeY, j);
+}
+
+// Basis without the [0.001, 0.999] clamp - for tail work (y strictly inside (0,1))
+export function getMetalogBasisValueUnclamped(y, j) {
     switch(j) {
         case 1: return 1;
-        case 2: return Math.log(safeY / (1 - safeY));
-        case 3: return (safeY - 0.5) * Math.log(safeY / (1 - safeY));
-        case 4: return safeY - 0.5;
+        case 2: return Math.log(y / (1 - y));
+        case 3: return (y - 0.5) * Math.log(y / (1 - y));
+        case 4: return y - 0.5;
         default:
             if (j % 2 === 1) { // odd j >= 5
-                return Math.pow(safeY - 0.5, (j - 1) / 2);
+                return Math.pow(y - 0.5, (j - 1) / 2);
             } else { // even j >= 6
-                return Math.log(safeY / (1 - safeY)) * Math.pow(safeY - 0.5, (j / 2) - 1);
+                return Math.log(y / (1 - y)) * Math.pow(y - 0.5, (j / 2) - 1);
             }
     }
 }
 
+// =============================================================================
+// BOUNDED METALOG TRANSFORMS
+// =============================================================================
+
+// Data exactly on a bound is pulled this far inside (normalized units)
+const BOUND_MARGIN = 1e-4;
+
+export function hasBounds(bounds) {
+    return Boolean(bounds) && (isFinite(bounds.lower) || isFinite(bounds.upper));
+}
+
+// Time x → metalog space z
+export function toMetalogSpace(x, bounds) {
+    if (!hasBounds(bounds)) return x;
+    
+    const hasLower = isFinite(bounds.lower);
+    const hasUpper = isFinite(bounds.upper);
+    const lower = hasLower ? bounds.lower + BOUND_MARGIN : -Infinity;
+    const upper = hasUpper ? bounds.upper - BOUND_MARGIN : Infinity;
+    const safeX = Math.max(lower, Math.min(upper, x));
+    
+    if (hasLower && hasUpper) return Math.log((safeX - bounds.lower) / (bounds.upper - safeX));
+    if (hasLower) return Math.log(safeX - bounds.lower);
+    return -Math.log(bounds.upper - safeX);
+}
+
+// Metalog space z → time x
+export function fromMetalogSpace(z, bounds) {
+    if (!hasBounds(bounds)) return z;
+    
+    const hasLower = isFinite(bounds.lower);
+    const hasUpper = isFinite(bounds.upper);
+    
+    if (hasLower && hasUpper) return (bounds.lower + bounds.upper * Math.exp(z)) / (1 + Math.exp(z));
+    if (hasLower) return bounds.lower + Math.exp(z);
+    return bounds.upper - Math.exp(-z);
+}
+
+// dx/dz at time x, to turn M'(y) into the quantile slope in time
+export function metalogSpaceSlope(x, bounds) {
+    if (!hasBounds(bounds)) return 1;
+    
+    const hasLower = isFinite(bounds.lower);
+    const hasUpper = isFinite(bounds.upper);
+    
+    if (hasLower && hasUpper) return (x - bounds.lower) * (bounds.upper - x) / (bounds.upper - bounds.lower);
+    if (hasLower) return x - bounds.lower;
+    return bounds.upper - x;
+}
+
 // =============================================================================
 // CORE METALOG FITTING
 // =============================================================================
 
-export function fitUnconstrainedMetalog(dataPoints, numTerms) {
+export function fitUnconstrainedMetalog(dataPoints, numTerms, bounds = null) {
     // Sort points (they're already in [0,1] space)
     const sortedPoints = [...dataPoints].sort((a, b) => a.y - b.y);
     const normalizedPoints = sortedPoints; // Already normalized
@@ -85,7 +145,7 @@ export function fitUnconstrainedMetalog(dataPoints, numTerms) {
     
     for (let i = 0; i < n; i++) {
         const y = normalizedPoints[i].y;
-        const x = normalizedPoints[i].x;
+        const x = toMetalogSpace(normalizedPoints[i].x, bounds);
         
         const row = [];
         for (let j = 1; j <= k; j++) {
@@ -116,10 +176,92 @@ export function fitUnconstrainedMetalog(dataPoints, numTerms) {
         coefficients: coefficients,
         numTerms: k,
         dataPoints: normalizedPoints,
-        constrainedFit: false
+        constrainedFit: false,
+        bounds: hasBounds(bounds) ? bounds : null
     };
 }
 
+// =============================================================================
+// CONSTRAINED FITTING
+// =============================================================================
+
+// Bisection steps when pulling an infeasible fit back toward a feasible one
+const PROJECTION_STEPS = 30;
+
+// Like fitUnconstrainedMetalog, but an infeasible least-squares solution is
+// replaced by the feasible metalog closest to it along the projection path
+export function fitMetalogConstrained(dataPoints, numTerms, bounds = null) {
+    console.log("🎯 Attempting constrained metalog fitting...");
+    
+    const unconstrained = fitUnconstrainedMetalog(dataPoints, numTerms, bounds);
+    if (checkMetalogFeasibility(unconstrained)) {
+        console.log("✅ Unconstrained solution is feasible");
+        return unconstrained;
+    }
+    
+    console.log("⚠️ Unconstrained solution violates constraints, using constrained optimization");
+    return optimizeWithConstraints(unconstrained, dataPoints, bounds);
+}
+
+// Feasibility (M'(y) > 0 for all y) is linear in the coefficients, so the feasible
+// set is convex: starting from a feasible anchor - the 3-term fit with the algebraic
+// constraints enforced, padded with zeros - bisect along the segment toward the
+// least-squares solution and keep the last feasible point
+function optimizeWithConstraints(unconstrained, dataPoints, bounds) {
+    const k = unconstrained.numTerms;
+    const target = unconstrained.coefficients;
+    
+    const anchorFit = fitUnconstrainedMetalog(dataPoints, Math.min(3, k), bounds);
+    const anchor = enforceConstraints(
+        [...anchorFit.coefficients, ...new Array(k - anchorFit.numTerms).fill(0)], k);
+    
+    const withCoefficients = coefficients => ({ ...unconstrained, coefficients, constrainedFit: true });
+    const along = t => anchor.map((a, j) => a + t * (target[j] - a));
+    
+    if (!checkMetalogFeasibility(withCoefficients(anchor))) {
+        throw new Error("No feasible starting point for constrained fit");
+    }
+    
+    // k ≤ 3: the enforced constraints are the whole feasible region
+    if (k <= 3) {
+        console.log(`📊 Projected coefficients: [${anchor.map(c => c.toFixed(4)).join(', ')}]`);
+        return withCoefficients(anchor);
+    }
+    
+    let feasibleT = 0;
+    let infeasibleT = 1;
+    for (let step = 0; step < PROJECTION_STEPS; step++) {
+        const t = (feasibleT + infeasibleT) / 2;
+        if (checkMetalogFeasibility(withCoefficients(along(t)))) {
+            feasibleT = t;
+        } else {
+            infeasibleT = t;
+        }
+    }
+    
+    const projected = along(feasibleT);
+    console.log(`✅ Constraint projection complete at t=${feasibleT.toFixed(4)}: [${projected.map(c => c.toFixed(4)).join(', ')}]`);
+    return withCoefficients(projected);
+}
+
+// Clamp coefficients into the k ≤ 3 feasible region: a₂ > 0 and |a₃|/a₂ < 1.66711
+function enforceConstraints(coefficients, k) {
+    const projected = [...coefficients];
+    
+    // Constraint 1: a2 > 0
+    if (k >= 2) {
+        projected[1] = Math.max(0.01, projected[1]);
+    }
+    
+    // Constraint 2: |a3|/a2 < 1.66711
+    if (k >= 3) {
+        const maxA3 = 1.66 * projected[1]; // Slightly below limit
+        projected[2] = Math.max(-maxA3, Math.min(maxA3, projected[2]));
+    }
+    
+    return projected;
+}
+
 // =============================================================================
 // METALOG EVALUATION
 // =============================================================================
@@ -135,22 +277,64 @@ export function evaluateMetalog(metalog, cdfProbability) {
         result += coefficients[j-1] * getMetalogBasisValue(y, j);
     }
     
-    return result;
+    return fromMetalogSpace(result, metalog.bounds);
+}
+
+// =============================================================================
+// FIT SETTINGS
+// =============================================================================
+
+// tolerance: largest allowed time error per point (normalized x)
+// minTerms/maxTerms: k range to try (maxTerms null = number of points)
+// fallback: what to do when a feasible k misses a point by more than tolerance -
+//   'interpolation' (abandon metalogs), 'lower-k' (keep stepping down k) or
+//   'constrained' (also project infeasible k onto feasible metalogs instead of skipping them)
+export const DEFAULT_FIT_SETTINGS = { tolerance: 0.025, minTerms: 2, maxTerms: null, fallback: 'interpolation' };
+export const FALLBACK_POLICIES = ['interpolation', 'lower-k', 'constrained'];
+
+// Merge options over the defaults; throws on settings that can't be fitted with
+export function resolveFitSettings(options = {}) {
+    const settings = { ...DEFAULT_FIT_SETTINGS };
+    for (const key of Object.keys(DEFAULT_FIT_SETTINGS)) {
+        if (options[key] !== undefined && options[key] !== null) {
+            settings[key] = options[key];
+        }
+    }
+    
+    if (!(settings.tolerance > 0) || !isFinite(settings.tolerance)) {
+        throw new Error(`Fit tolerance must be a positive number, got ${settings.tolerance}`);
+    }
+    if (!Number.isInteger(settings.minTerms) || settings.minTerms < 2) {
+        throw new Error(`minTerms must be an integer of at least 2, got ${settings.minTerms}`);
+    }
+    if (settings.maxTerms !== null && (!Number.isInteger(settings.maxTerms) || settings.maxTerms < settings.minTerms)) {
+        throw new Error(`maxTerms must be an integer of at least minTerms (${settings.minTerms}), got ${settings.maxTerms}`);
+    }
+    if (!FALLBACK_POLICIES.includes(settings.fallback)) {
+        throw new Error(`Unknown fit fallback '${settings.fallback}' (expected ${FALLBACK_POLICIES.join(', ')})`);
+    }
+    
+    return settings;
 }
 
 // =============================================================================
 // FIT QUALITY CHECKING
 // =============================================================================
 
-export function checkFitQuality(metalog, originalDataPoints) {
-    const threshold = 0.025; // ±2.5% in probability space
+// Per-point time residuals: where the fit reaches each point's probability
+export function getFitResiduals(metalog, dataPoints) {
+    return dataPoints.map(point => {
+        const fittedX = evaluateMetalog(metalog, point.y);
+        return { x: point.x, y: point.y, fittedX, error: Math.abs(point.x - fittedX) };
+    });
+}
+
+export function checkFitQuality(metalog, originalDataPoints, threshold = DEFAULT_FIT_SETTINGS.tolerance) {
+    // threshold: largest allowed time error (normalized x)
     
     console.log("🔍 Quality check details:");
-    for (const point of originalDataPoints) {
-        const targetProbability = point.y;
-        const actualTime = point.x; // Already in [0,1] space
-        const predictedTime = evaluateMetalog(metalog, targetProbability);
-        const timeError = Math.abs(actualTime - predictedTime);
+    for (const point of getFitResiduals(metalog, originalDataPoints)) {
+        const timeError = point.error;
         
         console.log(`   ${(point.y*100).toFixed(0)}%: error=${timeError.toFixed(4)}`);
         
@@ -168,45 +352,65 @@ export function checkFitQuality(metalog, originalDataPoints) {
 // SMART FITTING WITH FALLBACK
 // =============================================================================
 
-export function fitMetalogSmart(dataPoints) {
+// options.bounds: {lower?, upper?} in normalized x to fit a log-/logit-metalog
+// options.tolerance / minTerms / maxTerms / fallback: see DEFAULT_FIT_SETTINGS
+// Returns {metalog (null = use interpolation), settings, attempts: [{k, outcome}]}
+// with outcome 'accepted', 'infeasible', 'poor-fit' or 'error' ('constrained' marks
+// attempts whose least-squares fit was infeasible and got projected)
+export function fitMetalogSmart(dataPoints, options = {}) {
+    const settings = resolveFitSettings(options);
+    const attempts = [];
+    
     const validation = validateMetalogData(dataPoints);
     if (!validation.valid) {
         throw new Error(validation.error);
     }
 
     const n = dataPoints.length;
+    const maxK = Math.min(n, settings.maxTerms ?? n);
     
-    // Try k values from n down to 2
-    for (let k = n; k >= 2; k--) {
+    // Try k values from the largest allowed down to minTerms
+    for (let k = maxK; k >= settings.minTerms; k--) {
         console.log(`🔍 Trying k=${k}`);
         
         try {
-            // Fit unconstrained metalog using least squares
-            const metalog = fitUnconstrainedMetalog(dataPoints, k);
+            // Fit using least squares (projected onto feasible metalogs if allowed)
+            const metalog = settings.fallback === 'constrained'
+                ? fitMetalogConstrained(dataPoints, k, options.bounds)
+                : fitUnconstrainedMetalog(dataPoints, k, options.bounds);
+            const constrained = metalog.constrainedFit;
             
             // Check feasibility constraints  
             if (!checkMetalogFeasibility(metalog)) {
                 console.log(`❌ k=${k} violates feasibility constraints - stepping down`);
+                attempts.push({ k, outcome: 'infeasible' });
                 continue; // Try next lower k
             }
             
             console.log(`✅ k=${k} is feasible`);
             
-            // Check fit quality (±2.5% in probability space)
-            if (checkFitQuality(metalog, dataPoints)) {
+            // Check fit quality (time error within tolerance at every point)
+            if (checkFitQuality(metalog, dataPoints, settings.tolerance)) {
                 console.log(`🎯 k=${k} has acceptable fit quality`);
-                return metalog;
-            } else {
-                console.log(`💀 k=${k} has poor fit quality - abandoning metalogs`);
-                return null; // Trigger linear interpolation fallback
+                attempts.push({ k, outcome: 'accepted', constrained });
+                return { metalog, settings, attempts };
+            }
+            
+            attempts.push({ k, outcome: 'poor-fit', constrained });
+            if (settings.fallback !== 'interpolation') {
+                console.log(`📉 k=${k} has poor fit quality - stepping down`);
+                continue;
             }
+            console.log(`💀 k=${k} has poor fit quality - abandoning metalogs`);
+            return { metalog: null, settings, attempts }; // Trigger linear interpolation fallback
             
         } catch (e) {
             console.log(`⚠️ k=${k} failed: ${e.message}`);
+            attempts.push({ k, outcome: 'error' });
             continue;
         }
     }
     
-    console.log("💀 All k values failed feasibility - abandoning metalogs");
-    return null;
-}
\ No newline at end of file
+    console.log("💀 No allowed k value gave an acceptable fit - abandoning metalogs");
+    return { metalog: null, settings, attempts };
+}
@@ -1,7 +1,7 @@
 // Metalog Feasibility Checking - Algorithm 1 from SSRN paper
 // Air-tight feasibility checking using polynomial root finding
 
-import { getMetalogBasisValue, evaluateMetalog } from './metalog-core.js';
+import { getMetalogBasisValue, evaluateMetalog, hasBounds } from './metalog-core.js';
 
 // =============================================================================
 // MAIN FEASIBILITY CHECKING
@@ -31,6 +31,12 @@ export function checkMetalogFeasibility(metalog) {
     
     console.log("✅ Basic algebraic constraints passed");
     
+    // Log/logit transforms are monotone, so a bounded metalog is feasible exactly
+    // when M is - but the mapped-back tails must still resolve inside the bounds
+    if (hasBounds(metalog.bounds) && !checkBoundedTails(metalog)) {
+        return false;
+    }
+    
     // For k ≥ 4, use air-tight feasibility testing via polynomial root finding
     if (k >= 4) {
         return checkInflectionPointsFeasibility(metalog);
@@ -39,6 +45,27 @@ export function checkMetalogFeasibility(metalog) {
     return true; // k ≤ 3 with algebraic constraints satisfied is always feasible
 }
 
+// Tails of a bounded metalog must be finite and distinct from each other: exp
+// overflow or logit saturation at the bounds means the fit is numerically degenerate
+function checkBoundedTails(metalog) {
+    const { lower, upper } = metalog.bounds;
+    const left = evaluateMetalog(metalog, 0.001);
+    const right = evaluateMetalog(metalog, 0.999);
+    
+    console.log(`🔍 Bounded tails: M(0.001)=${left}, M(0.999)=${right}, bounds=[${lower ?? '-∞'}, ${upper ?? '∞'}]`);
+    
+    if (!isFinite(left) || !isFinite(right) || !(right > left)) {
+        console.log("❌ Feasibility failed: bounded tails are not finite and increasing");
+        return false;
+    }
+    if ((isFinite(lower) && left < lower) || (isFinite(upper) && right > upper)) {
+        console.log("❌ Feasibility failed: bounded tails escape the bounds");
+        return false;
+    }
+    
+    return true;
+}
+
 // =============================================================================
 // ALGORITHM 1: AIR-TIGHT FEASIBILITY CHECKING
 // =============================================================================
@@ -251,7 +278,8 @@ function bisectionMethod(coeffs, a, b, tolerance = 1e-10, maxIterations = 50) {
 // METALOG DERIVATIVES
 // =============================================================================
 
-function evaluateMetalogDerivative(metalog, y) {
+// Quantile slope M'(y); the implied density at M(y) is 1 / M'(y)
+export function evaluateMetalogDerivative(metalog, y) {
     const safeY = Math.max(0.001, Math.min(0.999, y));
     const coefficients = metalog.coefficients;
     const k = metalog.numTerms;
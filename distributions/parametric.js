@@ -0,0 +1,271 @@
+// Parametric Families - Least-squares fits of standard distributions
+// Pure functions fitting lognormal, gamma, Weibull and generalized logistic CDFs
+// to table points in [0,1]² space
+//
+// Parameters describe normalized time x, in the usual parameterization of each
+// family. On a linear axis x = (t - min) / (max - min), so e.g. a lognormal with
+// (mu, sigma) in x is a lognormal in t - min with mu + ln(max - min) and the same sigma.
+// On a log axis x is log-time and no such mapping exists, so distribution.js only
+// fits these families on linear axes.
+// The support of lognormal, gamma and Weibull starts at x = 0 (the axis minimum).
+
+// =============================================================================
+// SPECIAL FUNCTIONS
+// =============================================================================
+
+function normalCdf(z) {
+    return 0.5 * (1 + math.erf(z / Math.SQRT2));
+}
+
+// Regularized lower incomplete gamma P(a, x) (series below a + 1, continued fraction above)
+function regularizedGammaP(a, x) {
+    if (x <= 0) return 0;
+
+    const logPrefactor = a * Math.log(x) - x - math.lgamma(a);
+
+    if (x < a + 1) {
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < 500; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+        }
+        return Math.min(1, sum * Math.exp(logPrefactor));
+    }
+
+    // Lentz's method for the upper tail Q(a, x)
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let n = 1; n < 500; n++) {
+        const an = -n * (n - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = b + an / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-15) break;
+    }
+    return Math.max(0, 1 - Math.exp(logPrefactor) * h);
+}
+
+// =============================================================================
+// FAMILY DEFINITIONS
+// =============================================================================
+
+// Each family: display name, parameter names, support in x, cdf/pdf of x, and the map
+// from an unconstrained vector (what the optimizer moves) to parameters
+export const PARAMETRIC_FAMILIES = {
+    lognormal: {
+        name: 'Lognormal',
+        parameterNames: ['mu', 'sigma'],
+        support: { lower: 0, upper: Infinity },
+        fromRaw: ([mu, logSigma]) => ({ mu, sigma: Math.exp(logSigma) }),
+        initialRaw: (median) => [Math.log(median), 0],
+        cdf: (x, { mu, sigma }) => x <= 0 ? 0 : normalCdf((Math.log(x) - mu) / sigma),
+        pdf: (x, { mu, sigma }) => {
+            if (x <= 0) return 0;
+            const z = (Math.log(x) - mu) / sigma;
+            return Math.exp(-z * z / 2) / (x * sigma * Math.sqrt(2 * Math.PI));
+        }
+    },
+    gamma: {
+        name: 'Gamma',
+        parameterNames: ['shape', 'scale'],
+        support: { lower: 0, upper: Infinity },
+        fromRaw: ([logShape, logScale]) => ({ shape: Math.exp(logShape), scale: Math.exp(logScale) }),
+        initialRaw: (median) => [Math.log(2), Math.log(median / 2)],
+        cdf: (x, { shape, scale }) => regularizedGammaP(shape, x / scale),
+        pdf: (x, { shape, scale }) => {
+            if (x <= 0) return 0;
+            return Math.exp((shape - 1) * Math.log(x / scale) - x / scale - math.lgamma(shape)) / scale;
+        }
+    },
+    weibull: {
+        name: 'Weibull',
+        parameterNames: ['shape', 'scale'],
+        support: { lower: 0, upper: Infinity },
+        fromRaw: ([logShape, logScale]) => ({ shape: Math.exp(logShape), scale: Math.exp(logScale) }),
+        initialRaw: (median) => [Math.log(1.5), Math.log(median / Math.pow(Math.LN2, 1 / 1.5))],
+        cdf: (x, { shape, scale }) => x <= 0 ? 0 : 1 - Math.exp(-Math.pow(x / scale, shape)),
+        pdf: (x, { shape, scale }) => {
+            if (x <= 0) return 0;
+            const r = x / scale;
+            return (shape / scale) * Math.pow(r, shape - 1) * Math.exp(-Math.pow(r, shape));
+        }
+    },
+    // Type I generalized logistic: F(x) = (1 + exp(-(x - location) / scale))^(-shape)
+    genlogistic: {
+        name: 'Generalized logistic',
+        parameterNames: ['location', 'scale', 'shape'],
+        support: { lower: -Infinity, upper: Infinity },
+        fromRaw: ([location, logScale, logShape]) => ({ location, scale: Math.exp(logScale), shape: Math.exp(logShape) }),
+        initialRaw: (median) => [median, Math.log(0.1), 0],
+        cdf: (x, { location, scale, shape }) => Math.pow(1 + Math.exp(-(x - location) / scale), -shape),
+        pdf: (x, { location, scale, shape }) => {
+            const e = Math.exp(-(x - location) / scale);
+            return (shape / scale) * e * Math.pow(1 + e, -shape - 1);
+        }
+    }
+};
+
+export function isParametricFamily(family) {
+    return Object.prototype.hasOwnProperty.call(PARAMETRIC_FAMILIES, family);
+}
+
+// Whether a family puts all its mass inside bounds ({lower?, upper?} in normalized x)
+export function supportWithinBounds(family, bounds) {
+    const { support } = PARAMETRIC_FAMILIES[family];
+    const lower = bounds && isFinite(bounds.lower) ? bounds.lower : -Infinity;
+    const upper = bounds && isFinite(bounds.upper) ? bounds.upper : Infinity;
+    return support.lower >= lower && support.upper <= upper;
+}
+
+// =============================================================================
+// FITTING
+// =============================================================================
+
+// Least squares in probability: minimize Σ (F(x_i) - y_i)² over the family's parameters
+export function fitParametric(dataPoints, family) {
+    const definition = PARAMETRIC_FAMILIES[family];
+    if (!definition) {
+        throw new Error(`Unknown parametric family: ${family}`);
+    }
+
+    const sortedPoints = [...dataPoints].sort((a, b) => a.x - b.x);
+    const objective = (raw) => {
+        const parameters = definition.fromRaw(raw);
+        let sse = 0;
+        for (const point of sortedPoints) {
+            const residual = definition.cdf(point.x, parameters) - point.y;
+            sse += residual * residual;
+        }
+        return isFinite(sse) ? sse : Infinity;
+    };
+
+    const { point: raw, value: sse } = minimizeNelderMead(objective, definition.initialRaw(estimateMedian(sortedPoints)));
+    if (!isFinite(sse)) {
+        throw new Error(`${definition.name} fit did not converge`);
+    }
+
+    const parameters = definition.fromRaw(raw);
+    console.log(`📐 ${definition.name} fit: ${JSON.stringify(parameters)}, SSE=${sse.toExponential(3)}`);
+
+    return {
+        type: 'parametric',
+        family,
+        name: definition.name,
+        parameters,
+        dataPoints: sortedPoints,
+        sse
+    };
+}
+
+// Rough median time for starting values: interpolate x at y = 0.5 between the
+// bracketing points (nearest point if 0.5 is outside the table)
+function estimateMedian(sortedPoints) {
+    const minimum = 0.01;
+    const above = sortedPoints.findIndex(point => point.y >= 0.5);
+
+    if (above === -1) return Math.max(minimum, sortedPoints[sortedPoints.length - 1].x);
+    if (above === 0) return Math.max(minimum, sortedPoints[0].x);
+
+    const left = sortedPoints[above - 1];
+    const right = sortedPoints[above];
+    const t = right.y > left.y ? (0.5 - left.y) / (right.y - left.y) : 0;
+    return Math.max(minimum, left.x + t * (right.x - left.x));
+}
+
+// Nelder-Mead simplex search; small problems only (2-3 parameters)
+function minimizeNelderMead(f, start, { step = 0.5, maxIterations = 1000, tolerance = 1e-12 } = {}) {
+    const n = start.length;
+    let simplex = [start, ...start.map((_, i) => start.map((v, j) => i === j ? v + step : v))]
+        .map(point => ({ point, value: f(point) }));
+
+    const combine = (a, b, t) => a.map((v, i) => v + t * (b[i] - v));
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        simplex.sort((a, b) => a.value - b.value);
+        const best = simplex[0];
+        const worst = simplex[n];
+
+        if (Math.abs(worst.value - best.value) < tolerance) break;
+
+        // Centroid of all but the worst vertex
+        const centroid = new Array(n).fill(0);
+        for (let i = 0; i < n; i++) {
+            simplex[i].point.forEach((v, j) => { centroid[j] += v / n; });
+        }
+
+        const reflected = combine(centroid, worst.point, -1);
+        const reflectedValue = f(reflected);
+
+        if (reflectedValue < best.value) {
+            const expanded = combine(centroid, worst.point, -2);
+            const expandedValue = f(expanded);
+            simplex[n] = expandedValue < reflectedValue
+                ? { point: expanded, value: expandedValue }
+                : { point: reflected, value: reflectedValue };
+        } else if (reflectedValue < simplex[n - 1].value) {
+            simplex[n] = { point: reflected, value: reflectedValue };
+        } else {
+            const contracted = combine(centroid, worst.point, 0.5);
+            const contractedValue = f(contracted);
+            if (contractedValue < worst.value) {
+                simplex[n] = { point: contracted, value: contractedValue };
+            } else {
+                // Shrink toward the best vertex
+                simplex = simplex.map((vertex, i) => {
+                    if (i === 0) return vertex;
+                    const point = combine(best.point, vertex.point, 0.5);
+                    return { point, value: f(point) };
+                });
+            }
+        }
+    }
+
+    simplex.sort((a, b) => a.value - b.value);
+    return simplex[0];
+}
+
+// =============================================================================
+// EVALUATION
+// =============================================================================
+
+export function evaluateParametricCdf(distribution, x) {
+    if (x === null || isNaN(x)) return null;
+    return PARAMETRIC_FAMILIES[distribution.family].cdf(x, distribution.parameters);
+}
+
+export function evaluateParametricDensity(distribution, x) {
+    return PARAMETRIC_FAMILIES[distribution.family].pdf(x, distribution.parameters);
+}
+
+// Quantile by bisection on the CDF (bracket grown until it contains y)
+export function evaluateParametric(distribution, y) {
+    const p = Math.max(0.001, Math.min(0.999, y));
+    const cdf = (x) => evaluateParametricCdf(distribution, x);
+
+    let lo = distribution.family === 'genlogistic' ? -1 : 0;
+    let hi = 1;
+    while (cdf(lo) > p && lo > -1e6) lo = lo * 2 - 1;
+    while (cdf(hi) < p && hi < 1e6) hi *= 2;
+
+    for (let i = 0; i < 100; i++) {
+        const mid = (lo + hi) / 2;
+        if (cdf(mid) < p) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+        if (hi - lo < 1e-12) break;
+    }
+
+    return (lo + hi) / 2;
+}
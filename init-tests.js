@@ -20,7 +20,7 @@ class InitTests {
         return hasTestParam || hasStorageFlag || isLocalhost;
     }
 
-    runAllTests() {
+    async runAllTests() {
         if (!this.enableTests) {
             console.log('📊 Init tests disabled');
             return;
@@ -37,6 +37,19 @@ class InitTests {
         this.testRoundTripConversions();
         this.testFormatting();
         this.testTimelineYearInput();
+        this.testAxisRanges();
+        this.testSurveyExportSchema();
+        this.testMonotonicRepair();
+        this.testEditHistory();
+        this.testPointDragging();
+        this.testCellFeedback();
+        this.testQuantileTables();
+        this.testPasteRows();
+        this.testStepValidation();
+        await this.testSubmissionQueue();
+        
+        // Curve fitting lives in ES modules, loaded like TableManager loads them
+        await this.runDistributionTests();
         
         this.logResults();
     }
@@ -142,6 +155,11 @@ class InitTests {
             this.test('Percentage with spaces', convUtils.parseProbabilityInput(' 75% ') === 0.75);
             this.test('Decimal percentage', convUtils.parseProbabilityInput('12.5%') === 0.125);
             
+            // Spreadsheet paste
+            const pastedRows = convUtils.splitPastedRows('2030\t20%\r\n\n2035, 0.5\n');
+            this.test('Paste splits tab and comma rows', JSON.stringify(pastedRows) === '[["2030","20%"],["2035","0.5"]]');
+            this.test('Paste ignores trailing tabs', convUtils.splitPastedRows('5 years\t40%\t')[0].length === 2);
+            
         } catch (e) {
             this.test('Edge case parsing', false, e.message);
         }
@@ -259,6 +277,848 @@ class InitTests {
         console.groupEnd();
     }
 
+    testAxisRanges() {
+        console.group('📏 Axis Range Tests');
+        
+        try {
+            const convUtils = new ConversionUtils();
+            
+            // Defaults match the original hardcoded ranges
+            const timeline = convUtils.resolveAxis('timeline');
+            this.test('Default timeline axis 2025-2065 linear',
+                timeline.min === 2025 && timeline.max === 2065 && timeline.scale === 'linear');
+            this.test('Timeline 2045 is midpoint', Math.abs(convUtils.toNormalized(2045, timeline) - 0.5) < 1e-9);
+            
+            const duration = convUtils.resolveAxis('duration');
+            this.test('Default duration axis matches timeToNormalized',
+                Math.abs(convUtils.toNormalized(2, duration) - convUtils.timeToNormalized(2)) < 1e-9);
+            
+            // Custom ranges
+            const later = convUtils.resolveAxis('timeline', { min: 2026, max: 2100 });
+            this.test('Custom timeline round trip',
+                Math.abs(convUtils.fromNormalized(convUtils.toNormalized(2080, later), later) - 2080) < 1e-9);
+            this.test('parseAbsoluteYear accepts year in custom range', convUtils.parseAbsoluteYear('2090', later) === 2090);
+            this.test('parseAbsoluteYear rejects year outside custom range', convUtils.parseAbsoluteYear('2025', later) === null);
+            
+            const longDurations = convUtils.resolveAxis('duration', { min: '1 month', max: '1000 years' });
+            this.test('Duration axis bounds parsed from strings',
+                Math.abs(longDurations.min - 1/12) < 1e-9 && longDurations.max === 1000);
+            this.test('Log axis round trip',
+                Math.abs(convUtils.fromNormalized(convUtils.toNormalized(250, longDurations), longDurations) - 250) < 1e-6);
+            
+            let threw = false;
+            try {
+                convUtils.resolveAxis('duration', { min: 0, max: 10, scale: 'log' });
+            } catch (e) {
+                threw = true;
+            }
+            this.test('Log axis with zero minimum rejected', threw);
+            
+        } catch (e) {
+            this.test('Axis ranges', false, e.message);
+        }
+        
+        console.groupEnd();
+    }
+
+    testMonotonicRepair() {
+        console.group('📈 Monotonic Repair Tests');
+        
+        try {
+            const solver = new LabelPlacementPAVA();
+            const fitted = solver.isotonicRegression([0.2, 0.5, 0.3, 0.6], { lower: 0, upper: 1 });
+            this.test('Isotonic regression pools violators',
+                Math.abs(fitted[1] - 0.4) < 1e-9 && Math.abs(fitted[2] - 0.4) < 1e-9);
+            
+            const tableManager = new TableManager();
+            const bad = [{ x: 0.1, y: 0.2 }, { x: 0.2, y: 0.5 }, { x: 0.3, y: 0.3 }];
+            
+            const isotonic = tableManager._ensureInvariants(bad, 'isotonic');
+            this.test('Isotonic repair is non-decreasing',
+                tableManager._isNonDecreasing(isotonic.data.map(p => p.y)) && isotonic.repairs.length === 2);
+            
+            const clipped = tableManager._ensureInvariants(bad, 'clip');
+            this.test('Clip repair raises to previous row', clipped.data[2].y === 0.5 && clipped.repairs.length === 1);
+            
+            let threw = false;
+            try {
+                tableManager._ensureInvariants(bad, 'reject');
+            } catch (e) {
+                threw = true;
+            }
+            this.test('Reject strategy refuses decreasing data', threw);
+            
+        } catch (e) {
+            this.test('Monotonic repair', false, e.message);
+        }
+        
+        console.groupEnd();
+    }
+
+    /**
+     * Load the distribution modules (separate so tests can run without a module loader)
+     */
+    async loadDistributionModules() {
+        const [distribution, interpolation, metalogCore, feasibility, parametric] = await Promise.all([
+            import('./distributions/distribution.js'),
+            import('./distributions/interpolation.js'),
+            import('./distributions/metalog-core.js'),
+            import('./distributions/metalog-feasibility.js'),
+            import('./distributions/parametric.js')
+        ]);
+        return { distribution, interpolation, metalogCore, feasibility, parametric };
+    }
+    
+    async runDistributionTests() {
+        let modules;
+        try {
+            modules = await this.loadDistributionModules();
+        } catch (e) {
+            this.test('Distribution modules load', false, e.message);
+            return;
+        }
+        
+        this.testInterpolationInversion(modules);
+        this.testMetalogCdfInversion(modules);
+        this.testBoundedFits(modules);
+        this.testConstrainedProjection(modules);
+        this.testAutomaticFamily(modules);
+        this.testSummaryStatistics(modules);
+        this.testFitResiduals(modules);
+        this.testFitSettings(modules);
+        await this.testFitWorkerProtocol(modules);
+        await this.testOrderingConsistency(modules);
+        await this.testConstraintConsistency(modules);
+    }
+
+    testInterpolationInversion({ interpolation }) {
+        console.group('📉 Interpolation Inversion Tests');
+        
+        try {
+            const points = [{ x: 0.1, y: 0.1 }, { x: 0.4, y: 0.5 }, { x: 0.8, y: 0.9 }];
+            const curve = interpolation.createInterpolation(points);
+            
+            this.test('Interpolation CDF passes through the table points',
+                points.every(point => Math.abs(interpolation.evaluateInterpolationCdf(curve, point.x) - point.y) < 1e-9));
+            
+            // Inside the table and in the extrapolated tails
+            const probabilities = [0.05, 0.1, 0.3, 0.5, 0.75, 0.9, 0.95];
+            this.test('Interpolation CDF(quantile(p)) ≈ p',
+                probabilities.every(p => Math.abs(
+                    interpolation.evaluateInterpolationCdf(curve, interpolation.evaluateInterpolation(curve, p)) - p) < 1e-6));
+            
+            this.test('Interpolation quantile is linear between points',
+                Math.abs(interpolation.evaluateInterpolation(curve, 0.3) - 0.25) < 1e-9);
+            
+        } catch (e) {
+            this.test('Interpolation inversion', false, e.message);
+        }
+        
+        console.groupEnd();
+    }
+
+    testMetalogCdfInversion({ distribution }) {
+        console.group('🔁 Metalog CDF Inversion Tests');
+        
+        try {
+            const points = [{ x: 0.1, y: 0.1 }, { x: 0.4, y: 0.5 }, { x: 0.8, y: 0.9 }];
+            const fitted = distribution.fitDistribution(points);
+            this.test('Three points fit a metalog', fitted.type === 'metalog', fitted.type);
+            
+            const probabilities = [0.05, 0.2, 0.5, 0.8, 0.95];
+            this.test('Metalog CDF(quantile(p)) ≈ p',
+                probabilities.every(p => Math.abs(distribution.evaluateCdf(fitted, distribution.evaluate(fitted, p)) - p) < 1e-6));
+            
+            const cdfs = [-0.5, 0, 0.25, 0.5, 0.75, 1, 1.5].map(x => distribution.evaluateCdf(fitted, x));
+            this.test('Metalog CDF stays in [0, 1] and never decreases',
+                cdfs.every((c, i) => c >= 0 && c <= 1 && (i === 0 || c >= cdfs[i - 1])));
+            
+        } catch (e) {
+            this.test('Metalog CDF inversion', false, e.message);
+        }
+        
+        console.groupEnd();
+    }
+
+    testBoundedFits({ distribution }) {
+        console.group('🧱 Bounded Fit Tests');
+        
+        try {
+            const points = [{ x: 0.1, y: 0.1 }, { x: 0.4, y: 0.5 }, { x: 0.8, y: 0.9 }];
+            
+            const lower = distribution.fitDistribution(points, { bounds: { lower: 0 } });
+            this.test('Lower bound fits a log-metalog', lower.type === 'metalog' && lower.metalog.bounds.lower === 0);
+            this.test('Log-metalog has no mass before the lower bound',
+                distribution.evaluateCdf(lower, 0) === 0 && distribution.evaluate(lower, 0.001) > 0);
+            
+            const both = distribution.fitDistribution(points, { bounds: { lower: 0, upper: 1 } });
+            this.test('Logit-metalog quantiles stay inside both bounds',
+                [0.001, 0.5, 0.999].every(p => {
+                    const x = distribution.evaluate(both, p);
+                    return x > 0 && x < 1;
+                }));
+            this.test('Logit-metalog has all mass by the upper bound', distribution.evaluateCdf(both, 1) === 1);
+            
+            this.test('Bounded fit still meets the points',
+                points.every(point => Math.abs(distribution.evaluateCdf(both, point.x) - point.y) < 0.01));
+            
+        } catch (e) {
+            this.test('Bounded fits', false, e.message);
+        }
+        
+        console.groupEnd();
+    }
+
+    testConstrainedProjection({ distribution, metalogCore, feasibility }) {
+        console.group('🎯 Constrained Projection Tests');
+        
+        try {
+            // Two steep steps: the 5-term least-squares metalog bends backwards
+            const points = [
+                { x: 0.1, y: 0.1 }, { x: 0.12, y: 0.3 }, { x: 0.5, y: 0.5 }, { x: 0.52, y: 0.7 }, { x: 0.9, y: 0.9 }
+            ];
+            const unconstrained = metalogCore.fitUnconstrainedMetalog(points, 5);
+            this.test('Steep steps give an infeasible least-squares metalog',
+                !feasibility.checkMetalogFeasibility(unconstrained));
+            
+            const projected = metalogCore.fitMetalogConstrained(points, 5);
+            this.test('Constrained fit is feasible and keeps k',
+                feasibility.checkMetalogFeasibility(projected) && projected.numTerms === 5 && projected.constrainedFit === true);
+            
+            const fitted = distribution.fitDistribution(points, { fallback: 'constrained' });
+            this.test('Constrained policy records a constrained attempt',
+                fitted.fit.attempts.some(attempt => attempt.constrained), JSON.stringify(fitted.fit.attempts));
+            
+        } catch (e) {
+            this.test('Constrained projection', false, e.message);
+        }
+        
+        console.groupEnd();
+    }
+
+    testAutomaticFamily({ distribution, parametric }) {
+        console.group('🏆 Automatic Family Tests');
+        
+        try {
+            const weibull = { type: 'parametric', family: 'weibull', parameters: { shape: 2, scale: 0.4 } };
+            const points = [0.1, 0.3, 0.5, 0.7, 0.9].map(p => ({ x: parametric.evaluateParametric(weibull, p), y: p }));
+            
+            const refit = parametric.fitParametric(points, 'weibull');
+            this.test('Weibull fit recovers its parameters',
+                Math.abs(refit.parameters.shape - 2) < 0.02 && Math.abs(refit.parameters.scale - 0.4) < 0.005,
+                JSON.stringify(refit.parameters));
+            
+            const auto = distribution.fitDistribution(points, { family: 'auto' });
+            this.test('Auto picks weibull for Weibull data', auto.family === 'weibull', auto.fit.candidates.map(c => c.family).join(', '));
+            
+            const families = bounds => distribution.fitDistribution(points, { family: 'auto', bounds }).fit.candidates.map(c => c.family);
+            const lowerOnly = families({ lower: 0 });
+            this.test('Lower bound excludes genlogistic',
+                !lowerOnly.includes('genlogistic') && lowerOnly.includes('weibull'), lowerOnly.join(', '));
+            const both = families({ lower: 0, upper: 1 });
+            this.test('Both bounds leave only metalog', both.length === 1 && both[0] === 'metalog', both.join(', '));
+            
+            // On a log axis x is log-time, so parametric parameters wouldn't describe time
+            const logAuto = distribution.fitDistribution(points, { family: 'auto', axisScale: 'log' }).fit.candidates.map(c => c.family);
+            this.test('Log axes leave only metalog for auto', logAuto.join() === 'metalog', logAuto.join(', '));
+            let refused = false;
+            try {
+                distribution.resolveFitOptions({ family: 'lognormal', axisScale: 'log' });
+            } catch (e) {
+                refused = e.message.includes('linear time axis');
+            }
+            this.test('Parametric families are refused on log axes', refused);
+            
+            const tableManager = new TableManager();
+            tableManager._disableFitWorker();
+            tableManager.distributionModule = distribution;
+            const rows = [{ time: '1 year', probability: '10%' }, { time: '10 years', probability: '90%' }];
+            tableManager.initializeTable('logLognormal', rows, { mode: 'duration', fit: { family: 'lognormal' } });
+            tableManager.initializeTable('linearLognormal', rows, { mode: 'duration', axis: { scale: 'linear' }, fit: { family: 'lognormal' } });
+            this.test('Duration tables keep parametric families only on linear axes',
+                tableManager.getTableContext('logLognormal').fit === undefined &&
+                tableManager.getTableContext('linearLognormal').fit.family === 'lognormal');
+            
+        } catch (e) {
+            this.test('Automatic family', false, e.message);
+        }
+        
+        console.groupEnd();
+    }
+
+    testSummaryStatistics({ distribution, interpolation }) {
+        console.group('📋 Summary Statistics Tests');
+        
+        try {
+            // Uniform on the axis: every statistic is known exactly
+            const uniform = interpolation.createInterpolation([{ x: 0, y: 0 }, { x: 1, y: 1 }]);
+            const summary = distribution.summarize(uniform, { toValue: x => 2025 + 40 * x, percentiles: [0.1, 0.9] });
+            this.test('Uniform summary in years',
+                Math.abs(summary.median - 2045) < 1e-6 && Math.abs(summary.mean - 2045) < 0.01 &&
+                Math.abs(summary.iqr - 20) < 1e-6 && summary.percentiles.length === 2 &&
+                Math.abs(summary.percentiles[0].value - 2029) < 1e-6 && summary.percentiles[1].p === 0.9,
+                JSON.stringify(summary));
+            this.test('Uniform summary has no mass off the axis', summary.massBelow === 0 && summary.massAbove === 0);
+            
+            // Unbounded metalog on a wide spread leaks mass past both ends of the axis
+            const wide = distribution.fitDistribution([{ x: 0.05, y: 0.1 }, { x: 0.5, y: 0.5 }, { x: 0.95, y: 0.9 }]);
+            const leaky = distribution.summarize(wide);
+            this.test('Mass outside the axis is reported',
+                leaky.massBelow > 0 && leaky.massAbove > 0 && Math.abs(leaky.median - distribution.evaluate(wide, 0.5)) < 1e-12,
+                `${leaky.massBelow} ${leaky.massAbove}`);
+            
+        } catch (e) {
+            this.test('Summary statistics', false, e.message);
+        }
+        
+        console.groupEnd();
+    }
+
+    testFitResiduals({ distribution, metalogCore, parametric }) {
+        console.group('📏 Fit Residual Tests');
+        
+        try {
+            const points = [{ x: 0.1, y: 0.1 }, { x: 0.3, y: 0.5 }, { x: 0.7, y: 0.9 }];
+            
+            const metalog = distribution.fitDistribution(points);
+            const residuals = distribution.getResiduals(metalog);
+            this.test('Residuals follow the raw points',
+                residuals.length === 3 && residuals.every((r, i) => r.x === points[i].x && r.y === points[i].y));
+            this.test('Residual error is the distance to the fitted time',
+                residuals.every(r => Math.abs(r.error - Math.abs(r.x - r.fittedX)) < 1e-12 &&
+                    Math.abs(distribution.evaluateCdf(metalog, r.fittedX) - r.y) < 1e-4));
+            this.test('Metalog residuals match getFitResiduals',
+                JSON.stringify(metalogCore.getFitResiduals(metalog.metalog, metalog.dataPoints)) === JSON.stringify(residuals));
+            
+            const lognormal = distribution.fitDistribution(points, { family: 'lognormal' });
+            this.test('Parametric residuals use the fitted quantiles',
+                distribution.getResiduals(lognormal).every(r => r.fittedX === parametric.evaluateParametric(lognormal, r.y)));
+            
+            const interpolated = distribution.fitDistribution(points, { family: 'metalog', maxTerms: 2, tolerance: 0.001 });
+            this.test('Interpolation passes through its points',
+                interpolated.type === 'interpolation' && distribution.getResiduals(interpolated).every(r => r.error < 1e-9),
+                interpolated.type);
+            
+        } catch (e) {
+            this.test('Fit residuals', false, e.message);
+        }
+        
+        console.groupEnd();
+    }
+
+    testFitSettings({ distribution, metalogCore }) {
+        console.group('⚙️ Fit Settings Tests');
+        
+        try {
+            const defaults = metalogCore.resolveFitSettings({});
+            this.test('Fit settings default to interpolation fallback',
+                defaults.tolerance === 0.025 && defaults.minTerms === 2 && defaults.maxTerms === null && defaults.fallback === 'interpolation');
+            
+            const invalid = [{ tolerance: 0 }, { minTerms: 1 }, { minTerms: 3, maxTerms: 2 }, { fallback: 'lowerk' }];
+            const messages = invalid.map(options => {
+                try {
+                    metalogCore.resolveFitSettings(options);
+                    return null;
+                } catch (e) {
+                    return e.message;
+                }
+            });
+            this.test('Invalid fit settings are refused', messages.every(Boolean), JSON.stringify(messages));
+            this.test('Unknown fallback names the valid ones', messages[3].includes('lower-k'));
+            
+            // Five points no 3-term metalog meets a tight tolerance on
+            const points = [{ x: 0.1, y: 0.1 }, { x: 0.2, y: 0.3 }, { x: 0.3, y: 0.5 }, { x: 0.45, y: 0.7 }, { x: 0.7, y: 0.9 }];
+            const fit = fallback => distribution.fitDistribution(points, { maxTerms: 3, tolerance: 0.001, fallback });
+            const interpolating = fit('interpolation');
+            this.test('Interpolation fallback stops at the first poor fit',
+                interpolating.type === 'interpolation' && interpolating.fit.attempts.length === 1 &&
+                interpolating.fit.attempts[0].k === 3 && interpolating.fit.attempts[0].outcome === 'poor-fit',
+                JSON.stringify(interpolating.fit.attempts));
+            const stepping = fit('lower-k');
+            this.test('lower-k fallback tries every k down to minTerms',
+                stepping.fit.fallback === 'lower-k' && stepping.fit.attempts.map(a => a.k).join() === '3,2',
+                JSON.stringify(stepping.fit.attempts));
+            
+            const tableManager = new TableManager();
+            tableManager._disableFitWorker();
+            tableManager.distributionModule = distribution;
+            const rows = [{ time: '2030', probability: '10%' }, { time: '2040', probability: '50%' }];
+            tableManager.initializeTable('badFit', rows, { mode: 'timeline', fit: { fallback: 'lowerk' } });
+            tableManager.initializeTable('goodFit', rows, { mode: 'timeline', fit: { fallback: 'lower-k' } });
+            this.test('Invalid table fit settings fall back to the default fit at setup',
+                tableManager.getTableContext('badFit').fit === undefined &&
+                tableManager.getTableContext('goodFit').fit.fallback === 'lower-k');
+            
+        } catch (e) {
+            this.test('Fit settings', false, e.message);
+        }
+        
+        console.groupEnd();
+    }
+
+    async testFitWorkerProtocol({ distribution }) {
+        console.group('🧵 Fit Worker Tests');
+        
+        try {
+            const points = [{ x: 0.1, y: 0.1 }, { x: 0.3, y: 0.5 }, { x: 0.7, y: 0.9 }];
+            const sampled = distribution.fitAndSample(points, {}, 20);
+            const copy = structuredClone(sampled);
+            this.test('Fit result survives structured cloning',
+                ['distribution', 'plotData', 'densityData', 'residuals'].every(key => key in copy) &&
+                copy.plotData.length === sampled.plotData.length);
+            
+            // Stand-in worker that records messages instead of fitting
+            const tableManager = new TableManager();
+            tableManager.fitWorker?.terminate();
+            const posted = [];
+            tableManager.fitWorker = { postMessage: message => posted.push(message), terminate: () => {} };
+            
+            const first = tableManager._runFit('test', points, 'a', {});
+            this.test('Same data shares the fit in flight', tableManager._runFit('test', points, 'a', {}) === first);
+            
+            const second = tableManager._runFit('test', points, 'b', {});
+            const firstResult = await first;
+            this.test('Newer data cancels the stale fit',
+                firstResult.cancelled === true && posted.some(m => m.type === 'cancel' && m.id === posted[0].id));
+            
+            tableManager._handleFitResponse({ id: posted[0].id, result: 'stale' });
+            const latest = posted[posted.length - 1];
+            tableManager._handleFitResponse({ id: latest.id, result: 'fresh' });
+            this.test('Only the current fit resolves with the worker reply', await second === 'fresh');
+            
+            tableManager._disableFitWorker();
+            
+        } catch (e) {
+            this.test('Fit worker protocol', false, e.message);
+        }
+        
+        console.groupEnd();
+    }
+
+    async testOrderingConsistency({ distribution }) {
+        console.group('⛓️ Ordering Consistency Tests');
+        
+        try {
+            const tableManager = new TableManager();
+            tableManager._disableFitWorker();
+            tableManager.distributionModule = distribution;
+            
+            const table = (...percents) => ['2030', '2040', '2050'].map((time, i) => ({ time, probability: `${percents[i]}%` }));
+            tableManager.initializeTable('early', table(10, 50, 90), { mode: 'timeline' });
+            tableManager.initializeTable('late', table(5, 30, 70), { mode: 'timeline' });
+            tableManager.initializeTable('rushed', table(20, 70, 95), { mode: 'timeline' });
+            
+            const checker = new ConsistencyChecker(tableManager, { orderings: [['early', 'late'], ['early', 'rushed']] });
+            const [relation] = checker.getRelations(['early', 'late']);
+            this.test('Ordering compares the later milestone on the left',
+                relation.leftId === 'late' && relation.rightId === 'early' && relation.space === 'cdf');
+            
+            const inOrder = await checker.checkTables(['early', 'late']);
+            this.test('Milestones in order have no conflicts', inOrder.length === 0, JSON.stringify(inOrder));
+            
+            const violated = await checker.checkTables(['early', 'rushed']);
+            this.test('Later milestone ahead of the earlier one conflicts',
+                violated.length > 0 && violated[0].laterId === 'rushed' && violated[0].maxExcess > checker.tolerance &&
+                violated[0].start < violated[0].end);
+            
+        } catch (e) {
+            this.test('Ordering consistency', false, e.message);
+        }
+        
+        console.groupEnd();
+    }
+
+    async testConstraintConsistency({ distribution }) {
+        console.group('⚖️ Constraint Consistency Tests');
+        
+        try {
+            const tableManager = new TableManager();
+            tableManager._disableFitWorker();
+            tableManager.distributionModule = distribution;
+            
+            // Survival tables: constraints compare the probabilities as displayed
+            const survival = (...percents) => ['2030', '2040', '2050'].map((time, i) => ({ time, probability: `${percents[i]}%` }));
+            const context = { mode: 'timeline', isSurvival: true };
+            tableManager.initializeTable('keep', survival(90, 60, 30), context);
+            tableManager.initializeTable('lose', survival(80, 40, 10), context);
+            tableManager.initializeTable('drop', survival(70, 30, 5), context);
+            
+            const checker = new ConsistencyChecker(tableManager, {
+                constraints: [
+                    { left: 'keep', relation: '>=', right: 'lose' },
+                    { left: 'drop', relation: '>=', right: 'keep', message: 'Dropping needs keeping' },
+                    { left: 'keep', relation: '==', right: 'drop' }
+                ]
+            });
+            
+            const relations = checker.getRelations();
+            this.test('Unknown constraint relations are skipped', relations.length === 2);
+            this.test('>= constraints swap sides in displayed space',
+                relations[0].leftId === 'lose' && relations[0].rightId === 'keep' && relations[0].space === 'displayed');
+            
+            const satisfied = await checker.checkTables(['keep', 'lose']);
+            this.test('Satisfied survival constraint has no conflicts', satisfied.length === 0, JSON.stringify(satisfied));
+            
+            const violated = await checker.checkTables(['keep', 'drop']);
+            this.test('Violated survival constraint conflicts with its message',
+                violated.length > 0 && violated[0].message === 'Dropping needs keeping' && violated[0].maxExcess > checker.tolerance);
+            
+        } catch (e) {
+            this.test('Constraint consistency', false, e.message);
+        }
+        
+        console.groupEnd();
+    }
+
+    testPointDragging() {
+        console.group('🖱️ Point Dragging Tests');
+        
+        try {
+            const tableManager = new TableManager();
+            tableManager._disableFitWorker();
+            const context = { mode: 'timeline' };
+            const rows = [{ time: '2030', probability: '10%' }, { time: '2040', probability: '50%' }, { time: '2050', probability: '90%' }];
+            tableManager.initializeTable('drag', rows, context);
+            const shown = x => tableManager.formatTimeForDisplay(x, tableManager.getTableContext('drag'));
+            
+            const past = tableManager.movePoint('drag', 1, 0.95, 0.99);
+            this.test('Dragging past a neighbour stops before its time and probability',
+                past.x < tableManager.getTableState('drag')[2].x && shown(past.x) !== shown(tableManager.getTableState('drag')[2].x) &&
+                past.y === tableManager.getTableState('drag')[2].y,
+                `${shown(past.x)} ${past.y}`);
+            
+            const below = tableManager.movePoint('drag', 1, 0.4, 0.01);
+            this.test('Dragging below the previous probability is clipped to it', below.y === 0.1);
+            
+            const dragged = tableManager.movePoint('drag', 1, 0.4123457, 0.5);
+            const retyped = tableManager.updateCell('drag', 1, 'x', shown(dragged.x));
+            this.test('Dragged times snap to the displayed value',
+                retyped.status === 'accepted' && tableManager.getTableState('drag')[1].x === dragged.x,
+                `${shown(dragged.x)} ${JSON.stringify(retyped)}`);
+            
+            const dragContext = tableManager.getTableContext('drag');
+            const neighbours = [{ x: 0.125 }, { x: 0.375 }];
+            const snapped = tableManager._snapDraggedX(0.3749, 0.25, 0.126, 0.374, neighbours, dragContext);
+            this.test('Snapping never lands on a time shown for a neighbour',
+                snapped > 0.25 && snapped < 0.375 && shown(snapped) !== shown(0.375), shown(snapped));
+            
+            this.test('Moving a missing row does nothing', tableManager.movePoint('drag', 5, 0.5, 0.5) === null);
+            
+        } catch (e) {
+            this.test('Point dragging', false, e.message);
+        }
+        
+        console.groupEnd();
+    }
+
+    testEditHistory() {
+        console.group('↩️ Edit History Tests');
+        
+        try {
+            const tableManager = new TableManager();
+            tableManager._disableFitWorker();
+            const rows = [{ time: '2030', probability: '10%' }, { time: '2040', probability: '50%' }, { time: '2050', probability: '90%' }];
+            tableManager.initializeTable('history', rows, { mode: 'timeline' });
+            const before = JSON.stringify(tableManager.getTableState('history'));
+            
+            // One drag = many moves of the same row in quick succession
+            for (const y of [0.45, 0.4, 0.35, 0.3]) {
+                tableManager.movePoint('history', 1, 0.4, y);
+            }
+            const dragged = JSON.stringify(tableManager.getTableState('history'));
+            
+            this.test('Coalesced drag undoes in one step',
+                tableManager.undo('history') && JSON.stringify(tableManager.getTableState('history')) === before &&
+                !tableManager.canUndo('history'));
+            this.test('Redo restores the dragged data',
+                tableManager.redo('history') && JSON.stringify(tableManager.getTableState('history')) === dragged);
+            
+            tableManager.undo('history');
+            tableManager.updateCell('history', 1, 'y', '55%');
+            this.test('A new edit clears redo', tableManager.canUndo('history') && !tableManager.canRedo('history'));
+            this.test('Nothing to undo on an untouched table', !tableManager.canUndo('missing') && !tableManager.undo('missing'));
+            
+        } catch (e) {
+            this.test('Edit history', false, e.message);
+        }
+        
+        console.groupEnd();
+    }
+
+    testCellFeedback() {
+        console.group('💬 Cell Feedback Tests');
+        
+        try {
+            const tableManager = new TableManager();
+            tableManager._disableFitWorker();
+            const rows = [{ time: '2030', probability: '10%' }, { time: '2040', probability: '50%' }];
+            tableManager.initializeTable('feedback', rows, { mode: 'timeline' });
+            const before = JSON.stringify(tableManager.getTableState('feedback'));
+            
+            const outOfRange = tableManager.updateCell('feedback', 1, 'x', '2070');
+            this.test('Year past the axis is rejected with the range',
+                outOfRange.status === 'rejected' && outOfRange.reason === "'2070' is not a year between 2025 and 2065" &&
+                JSON.stringify(tableManager.getTableState('feedback')) === before,
+                JSON.stringify(outOfRange));
+            
+            const belowNeighbour = tableManager.updateCell('feedback', 1, 'y', '5%');
+            this.test('Probability below the previous row is clipped up to it',
+                belowNeighbour.status === 'clipped' && belowNeighbour.rowIndex === 1 &&
+                belowNeighbour.reason.startsWith('Changed to 10%'),
+                JSON.stringify(belowNeighbour));
+            
+            const accepted = tableManager.updateCell('feedback', 1, 'y', '60%');
+            this.test('Valid probability is accepted', accepted.status === 'accepted' && !accepted.reason);
+            
+            const unparseable = tableManager.updateCell('feedback', 0, 'y', 'lots');
+            this.test('Unparseable probability is rejected', unparseable.status === 'rejected' && unparseable.reason.includes("'lots'"));
+            
+        } catch (e) {
+            this.test('Cell feedback', false, e.message);
+        }
+        
+        console.groupEnd();
+    }
+
+    testPasteRows() {
+        console.group('📋 Paste Rows Tests');
+        
+        try {
+            const tableManager = new TableManager();
+            tableManager._disableFitWorker();
+            const context = { mode: 'timeline' };
+            const rows = [{ time: '2030', probability: '10%' }, { time: '2040', probability: '50%' }, { time: '2050', probability: '90%' }];
+            tableManager.initializeTable('paste', rows, context);
+            const before = JSON.stringify(tableManager.getTableState('paste'));
+            const shown = () => tableManager.getTableState('paste').map(point =>
+                `${tableManager.formatTimeForDisplay(point.x, context)}:${tableManager.formatProbabilityForDisplay(point.y, context)}`).join(' ');
+            
+            const result = tableManager.pasteRows('paste', 'Year\tProbability\n2040\t40%\n2045\t60%\nsoon\t70%\n2060\tmaybe\n2055');
+            this.test('Pasted times replace matching rows and add the rest',
+                result.pasted === 2 && shown() === '2030:10% 2040:40% 2045:60% 2050:90%', shown());
+            this.test('Unreadable lines are skipped with reasons',
+                result.skipped.map(s => s.line).join() === '1,4,5,6' &&
+                result.skipped[1].reason === "could not read time 'soon'" &&
+                result.skipped[2].reason === "could not read probability 'maybe'" &&
+                result.skipped[3].reason === 'expected a time and a probability',
+                JSON.stringify(result.skipped));
+            
+            this.test('A paste is one undo step',
+                tableManager.undo('paste') && JSON.stringify(tableManager.getTableState('paste')) === before);
+            
+            const nothing = tableManager.pasteRows('paste', 'Year\tProbability');
+            this.test('A paste without usable rows changes nothing',
+                nothing.pasted === 0 && nothing.skipped.length === 1 && JSON.stringify(tableManager.getTableState('paste')) === before &&
+                !tableManager.canUndo('paste'));
+            
+            const survivalContext = { mode: 'timeline', isSurvival: true };
+            tableManager.initializeTable('pasteSurvival', rows.map(row => ({ ...row, probability: `${100 - parseInt(row.probability)}%` })), survivalContext);
+            tableManager.pasteRows('pasteSurvival', '2040,30%');
+            this.test('Survival pastes are stored as CDF',
+                Math.abs(tableManager.getTableState('pasteSurvival')[1].y - 0.7) < 1e-9);
+            
+        } catch (e) {
+            this.test('Paste rows', false, e.message);
+        }
+        
+        console.groupEnd();
+    }
+
+    testQuantileTables() {
+        console.group('🎚️ Quantile Table Tests');
+        
+        try {
+            const tableManager = new TableManager();
+            tableManager._disableFitWorker();
+            const context = { mode: 'timeline', elicitation: 'quantile', quantiles: [0.1, 0.25, 0.5, 0.9] };
+            const rows = [{ time: '2030', probability: '10%' }, { time: '2040', probability: '50%' }, { time: '2050', probability: '90%' }];
+            tableManager.initializeTable('quantile', rows, context);
+            
+            const pastNeighbour = tableManager.updateCell('quantile', 1, 'x', '2055');
+            this.test('Quantile time past a neighbour is rejected',
+                pastNeighbour.status === 'rejected' && pastNeighbour.reason.startsWith('Must be between 2030 and 2050'),
+                JSON.stringify(pastNeighbour));
+            const firstRow = tableManager.updateCell('quantile', 0, 'x', '2045');
+            this.test('First quantile must stay before the next one',
+                firstRow.status === 'rejected' && firstRow.reason.startsWith('Must be before 2040'), JSON.stringify(firstRow));
+            this.test('Quantile probabilities cannot be edited',
+                tableManager.updateCell('quantile', 1, 'y', '60%').status === 'rejected');
+            
+            const missing = tableManager._getMissingQuantiles('quantile');
+            this.test('Missing quantiles are listed', missing.length === 1 && Math.abs(missing[0] - 0.25) < 1e-9);
+            const added = tableManager.addRow('quantile') && tableManager.getTableState('quantile')[1];
+            this.test('Adding a row fills the missing quantile halfway between its neighbours',
+                added && Math.abs(added.y - 0.25) < 1e-9 && tableManager.formatTimeForDisplay(added.x, context) === '2035' &&
+                !tableManager.canAddRow('quantile') && !tableManager.addRow('quantile'),
+                JSON.stringify(added));
+            
+            const pasted = tableManager.pasteRows('quantile', '2033\t30%\n2045\t50%');
+            this.test('Pasting matches rows by quantile and skips other probabilities',
+                pasted.pasted === 1 && pasted.skipped.length === 1 && pasted.skipped[0].reason === "30% is not one of this table's probabilities" &&
+                tableManager.formatTimeForDisplay(tableManager.getTableState('quantile')[2].x, context) === '2045',
+                JSON.stringify(pasted));
+            
+            const before = JSON.stringify(tableManager.getTableState('quantile'));
+            let threw = false;
+            try {
+                tableManager.setTableState('quantile', [{ x: 0.1, y: 0.1 }, { x: 0.5, y: 0.3 }]);
+            } catch (e) {
+                threw = true;
+            }
+            this.test('setTableState refuses probabilities outside the quantiles',
+                threw && JSON.stringify(tableManager.getTableState('quantile')) === before);
+            
+            const restored = tableManager.restoreTables(
+                { quantile: [{ x: 0.1, y: 0.5 }, { x: 0.5, y: 0.1 }] },
+                { quantile: { quantiles: [0.1, 0.5] } }
+            );
+            this.test('Restore neither repairs quantiles nor replaces them',
+                restored.length === 0 && JSON.stringify(tableManager.getTableState('quantile')) === before &&
+                tableManager.getTableContext('quantile').quantiles.length === 4);
+            this.test('Validation reports probabilities outside the quantiles',
+                tableManager.validateTableData([{ x: 0.1, y: 0.1 }, { x: 0.5, y: 0.3 }], 'quantile').length === 1);
+            
+        } catch (e) {
+            this.test('Quantile tables', false, e.message);
+        }
+        
+        console.groupEnd();
+    }
+
+    testStepValidation() {
+        console.group('🚦 Step Validation Tests');
+        
+        try {
+            const tableManager = new TableManager();
+            tableManager._disableFitWorker();
+            const table = (...percents) => ['2030', '2040', '2050'].slice(0, percents.length)
+                .map((time, i) => ({ time, probability: `${percents[i]}%` }));
+            tableManager.initializeTable('early', table(10, 50, 90), { mode: 'timeline', title: 'Early' });
+            tableManager.initializeTable('late', table(20, 40), { mode: 'timeline', title: 'Late' });
+            tableManager.initializeTable('later', table(5, 30, 70), { mode: 'timeline', title: 'Later' });
+            
+            const comments = { timeline: '' };
+            const validator = new StepValidator(tableManager, { getCommentForStep: type => comments[type] || '' });
+            const step = (...validation) => ({ type: 'timeline', item: { tables: [{ id: 'early' }, { id: 'late' }] }, validation });
+            
+            const rows = validator.validateStep(step({ rule: 'minRows', min: 3 }));
+            this.test('minRows flags the short table only',
+                !rows.valid && rows.errors.length === 1 && rows.errors[0].tableIds[0] === 'late' &&
+                rows.errors[0].message === 'Late needs at least 3 rows');
+            
+            const order = validator.validateStep(step({ rule: 'milestoneOrder', tables: ['early', 'late'] }));
+            this.test('milestoneOrder names the first time the later milestone leads',
+                !order.valid && order.errors[0].message === "Late can't be more likely than Early by 2030" &&
+                order.errors[0].tableIds.join() === 'early,late',
+                JSON.stringify(order.errors));
+            this.test('milestoneOrder passes in order',
+                validator.validateStep(step({ rule: 'milestoneOrder', tables: ['early', 'later'] })).valid);
+            
+            const comment = step({ rule: 'requiredComment', minLength: 5 });
+            this.test('requiredComment blocks an empty comment', !validator.validateStep(comment).valid);
+            comments.timeline = '  ok  ';
+            this.test('requiredComment ignores surrounding spaces', !validator.validateStep(comment).valid);
+            comments.timeline = 'Because of scaling';
+            this.test('requiredComment passes once filled in', validator.validateStep(comment).valid);
+            
+            this.test('Unknown rules are ignored', validator.validateStep(step({ rule: 'noSuchRule' })).valid);
+            
+        } catch (e) {
+            this.test('Step validation', false, e.message);
+        }
+        
+        console.groupEnd();
+    }
+
+    async testSubmissionQueue() {
+        console.group('📤 Submission Queue Tests');
+        
+        // Own storage key so the real queue is never touched
+        const submitter = new SurveySubmitter({ enabled: true, endpoint: 'init-tests://' }, 'cdf-init-tests-submission-queue');
+        
+        try {
+            const sent = [];
+            let failing = true;
+            let gate = null; // While set, deliveries wait for it
+            submitter._send = async (payload) => {
+                if (failing || payload.late) throw new Error('offline');
+                await gate;
+                sent.push(payload);
+            };
+            
+            const first = await submitter.submit({ answer: 1 });
+            this.test('Failed submission is queued with an id',
+                !first.success && first.queued && first.submissionId && submitter.getQueuedCount() === 1);
+            
+            const again = await submitter.submit({ answer: 1 }, first.submissionId);
+            this.test('Retrying with the same id replaces the queued copy',
+                again.submissionId === first.submissionId && submitter.getQueuedCount() === 1 &&
+                submitter._readQueue()[0].attempts === 2);
+            
+            failing = false;
+            const retry = submitter.retryQueued();
+            this.test('Concurrent retries share one run', submitter.retryQueued() === retry);
+            const retried = await retry;
+            this.test('Retry delivers the queued payload once under its id',
+                retried.sent === 1 && retried.remaining === 0 && sent.length === 1 && sent[0].submissionId === first.submissionId);
+            
+            // A submission that fails while a retry waits on the network must survive it
+            let release;
+            gate = new Promise(resolve => { release = resolve; });
+            failing = true;
+            await submitter.submit({ answer: 2 });
+            failing = false;
+            const slow = submitter.retryQueued();
+            const late = await submitter.submit({ answer: 3, late: true });
+            release();
+            const afterRace = await slow;
+            this.test('Entries queued during a retry are kept',
+                late.queued && afterRace.sent === 1 && submitter.getQueuedCount() === 1 &&
+                submitter._readQueue()[0].payload.submissionId === late.submissionId);
+            
+        } catch (e) {
+            this.test('Submission queue', false, e.message);
+        } finally {
+            submitter._writeQueue([]);
+        }
+        
+        console.groupEnd();
+    }
+
+    testSurveyExportSchema() {
+        console.group('📦 Survey Export Schema Tests');
+        
+        try {
+            const schema = new SurveyExportSchema();
+            const v1 = {
+                tables: { 'sc-timeline': { data: [{ x: 0.1, y: 0.2 }, { x: 0.5, y: 0.6 }] } },
+                surveyVersion: { hash: 'abc' }
+            };
+            
+            const { data, fromVersion } = schema.migrate(v1);
+            this.test('Unversioned export is version 1', fromVersion === 1);
+            this.test('Migration stamps current version', data.exportVersion === schema.currentVersion);
+            this.test('Migration fills in comments', typeof data.comments === 'object' && data.comments !== null);
+            this.test('Migration does not mutate input', v1.exportVersion === undefined);
+            this.test('Migrated export validates', schema.validate(data).length === 0);
+            
+            this.test('Missing tables reported', schema.validate({ exportVersion: 2, comments: {} }).length === 1);
+            
+            let threw = false;
+            try {
+                schema.migrate({ exportVersion: schema.currentVersion + 1 });
+            } catch (e) {
+                threw = true;
+            }
+            this.test('Newer export version rejected', threw);
+            
+        } catch (e) {
+            this.test('Survey export schema', false, e.message);
+        }
+        
+        console.groupEnd();
+    }
+
     logResults() {
         const passed = this.testResults.filter(t => t.passed).length;
         const total = this.testResults.length;
@@ -11,7 +11,7 @@ const SURVEY_CONFIG = {
 
             <p>We anticipate this portion of the survey takes only <strong>5-10 minutes</strong> to complete.</p>
             
-            <p><small><strong>Notes on using the interface:</strong> If you refresh or close the page, you will lose your progress. You should have been directed to this web app from a Google Form, which contains more context - if you've stumbled upon this page without being directed to it, please disregard.</small></p>
+            <p><small><strong>Notes on using the interface:</strong> Your progress is saved in this browser as you go, so if you refresh or close the page you can pick up where you left off. You should have been directed to this web app from a Google Form, which contains more context - if you've stumbled upon this page without being directed to it, please disregard.</small></p>
         `,
     },
 
@@ -36,11 +36,29 @@ const SURVEY_CONFIG = {
             prompt:
                 "Please share any assumptions, reasoning, or additional context concerning your timeline predictions:",
         },
+        // Table options:
+        // - probabilityType: "survival" for probabilities that fall over time (stored as 1 - p)
+        // - elicitation: "quantile" fixes the probability column to `quantiles` (e.g. [0.1, 0.5, 0.9])
+        //   and only asks for times; defaultData rows must use those probabilities
+        // - repairStrategy: what to do when probabilities would decrease over time:
+        //   "isotonic" (closest non-decreasing fit, default), "clip" (raise to the previous row)
+        //   or "reject" (refuse the change)
+        // - bounds: keep the fitted curve's probability mass inside the axis: "lower" (nothing before
+        //   the axis start, log-metalog), "both" (nothing outside the axis, logit-metalog) or "none" (default)
+        // - fit: metalog fit settings, e.g. { tolerance: 0.05, maxTerms: 4, fallback: "lower-k" }:
+        //   tolerance is the largest miss per point as a fraction of the axis (default 0.025),
+        //   minTerms/maxTerms limit the number of metalog terms, and fallback decides what happens when
+        //   a fit misses a point: "interpolation" (default), "lower-k" (try fewer terms first) or
+        //   "constrained" (like "lower-k", and also pull infeasible fits back to valid distributions);
+        //   family picks the curve: "metalog" (default), "lognormal", "gamma", "weibull", "genlogistic"
+        //   (these four need a linear axis) or "auto" (whichever fits the points best without putting
+        //   mass outside the bounds; only metalog on log axes)
         tables: [
             {
                 id: "sc-timeline",
                 title: "Superhuman Coder (SC)",
                 titleEditable: false,
+                bounds: "lower",
                 defaultData: [
                     { time: "2028", probability: "10%" },
                     { time: "2035", probability: "30%" },
@@ -52,6 +70,7 @@ const SURVEY_CONFIG = {
                 id: "sar-timeline",
                 title: "Superhuman AI Researcher (SAR)",
                 titleEditable: false,
+                bounds: "lower",
                 defaultData: [
                     { time: "2030", probability: "10%" },
                     { time: "2040", probability: "30%" },
@@ -63,6 +82,7 @@ const SURVEY_CONFIG = {
                 id: "siar-timeline",
                 title: "Superintelligent AI Researcher (SIAR)",
                 titleEditable: false,
+                bounds: "lower",
                 defaultData: [
                     { time: "2035", probability: "10%" },
                     { time: "2045", probability: "30%" },
@@ -74,6 +94,7 @@ const SURVEY_CONFIG = {
                 id: "asi-timeline",
                 title: "Artificial Superintelligence (ASI)",
                 titleEditable: false,
+                bounds: "lower",
                 defaultData: [
                     { time: "2040", probability: "10%" },
                     { time: "2050", probability: "30%" },
@@ -156,12 +177,16 @@ const SURVEY_CONFIG = {
     reviewCard: {
         title: "Review Your Responses",
         content: `
-            <p>Here are all your responses visualized together.</p>
+            <p>Here is a summary of each of your distributions, with the timeline forecasts shown in the chart.</p>
 
-            <p>You can click on any approach or intervention name below to go back and adjust your responses, or click 'Complete Survey' to finish.</p>
+            <p>You can click 'Edit' under any table or comment below to go back and adjust your responses, or click 'Next' to finish.</p>
         `,
     },
 
+    completeCard: {
+        title: "Survey Complete",
+    },
+
     predefinedApproaches: [
         {
             id: "prosaic",
@@ -227,6 +252,38 @@ const SURVEY_CONFIG = {
         },
     ],
 
+    // Where the "Submit" button on the final step sends the export payload.
+    // Failed submissions are queued in the browser and retried on the next visit.
+    // For local testing run `node test-submission-server.js` and set
+    // enabled: true, endpoint: "http://localhost:8787/submit".
+    submission: {
+        enabled: false,
+        endpoint: "",
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        timeoutMs: 10000,
+    },
+
+    // Cross-table checks on the fitted curves (see core/consistency-checker.js). Conflicts are
+    // shaded on the chart and listed in a card on steps that show both tables.
+    // - orderings: chains of milestones that happen in order, so no table may be more likely
+    //   than the one before it at any time
+    // - constraints: { left, relation: "<=" or ">=", right, message? } - the probabilities as
+    //   entered must satisfy left <= right (or >=) at every time; message explains the warning.
+    //   Violations are also listed under `consistency` in the export
+    // - tolerance: probability difference ignored as noise (default 0.005)
+    consistency: {
+        orderings: [["sc-timeline", "sar-timeline", "siar-timeline", "asi-timeline"]],
+        constraints: [
+            {
+                left: "doom-assessment",
+                relation: "<=",
+                right: "misalignment-assessment",
+                message: "That means you expect doom from causes other than misalignment - is that what you intended?",
+            },
+        ],
+    },
+
     // Page-table mapping: defines which tables belong to which survey page
     pageTableMapping: {
         "aiTimelines": [
@@ -238,4 +295,44 @@ const SURVEY_CONFIG = {
         "doomAssessment": ["doom-assessment", "misalignment-assessment"],
         "review": "all", // Special case: show all tables
     },
+
+    // Step sequence: one page per enabled entry, in order.
+    // - type: page layout ("intro", "info", "aiTimelines", "doomAssessment", "review", "final")
+    // - card: key of the card config above that provides the page content
+    // - axisMode: x-axis for the chart and table parsing ("timeline" or "duration")
+    // - axis: { min, max, scale } range of the x-axis; tables may override it with their own `axis`.
+    //     timeline bounds are calendar years, duration bounds are durations ("1 day", "100 years");
+    //     scale is "linear" or "log". Defaults: 2025-2065 linear, 1 day-100 years log.
+    // - enabled: set to false to skip a step without deleting it
+    // - validation: rules that must pass before "Next" is enabled (see core/step-validator.js):
+    //     { rule: "minRows", min }            every table on the step has at least `min` rows
+    //     { rule: "milestoneOrder", tables }  each table is no more likely than the one before it
+    //     { rule: "requiredComment" }         the step's comment box is filled in
+    steps: [
+        { type: "intro", card: "introCard" },
+        {
+            type: "aiTimelines",
+            card: "aiTimelinesCard",
+            axisMode: "timeline",
+            axis: { min: 2025, max: 2065, scale: "linear" },
+            validation: [
+                { rule: "minRows", min: 3 },
+                {
+                    rule: "milestoneOrder",
+                    tables: ["sc-timeline", "sar-timeline", "siar-timeline", "asi-timeline"],
+                },
+            ],
+        },
+        {
+            type: "doomAssessment",
+            card: "doomAssessmentCard",
+            axisMode: "duration",
+            axis: { min: "1 day", max: "100 years", scale: "log" },
+            validation: [{ rule: "minRows", min: 3 }],
+        },
+        { type: "info", card: "approachesTitle", enabled: false },
+        { type: "info", card: "interventionsTitle", enabled: false },
+        { type: "review", card: "reviewCard", axisMode: "timeline", axis: { min: 2025, max: 2065, scale: "linear" } },
+        { type: "final", card: "completeCard" },
+    ],
 };
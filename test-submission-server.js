@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Stub submission server for testing survey submission locally.
+ *
+ * Usage:
+ *   node test-submission-server.js [--port 8787] [--fail]
+ *
+ * Then point SURVEY_CONFIG.submission at it:
+ *   submission: { enabled: true, endpoint: "http://localhost:8787/submit" }
+ *
+ * --fail answers every request with 500, to exercise the offline retry queue.
+ * Received payloads are logged and kept in memory; GET /submissions lists them.
+ */
+
+const http = require('http');
+
+const args = process.argv.slice(2);
+const portIndex = args.indexOf('--port');
+const port = portIndex >= 0 ? Number(args[portIndex + 1]) : 8787;
+const alwaysFail = args.includes('--fail');
+
+const submissions = [];
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...corsHeaders });
+    res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, corsHeaders);
+        res.end();
+        return;
+    }
+
+    if (req.method === 'GET' && req.url === '/submissions') {
+        send(res, 200, submissions);
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        if (alwaysFail) {
+            console.log(`❌ ${req.method} ${req.url} rejected (--fail)`);
+            send(res, 500, { error: 'Simulated failure' });
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch (error) {
+            send(res, 400, { error: 'Body is not valid JSON' });
+            return;
+        }
+
+        const duplicate = submissions.some(s => s.submissionId && s.submissionId === payload.submissionId);
+        if (!duplicate) {
+            submissions.push(payload);
+        }
+
+        console.log(`📥 ${req.method} ${req.url} ${payload.submissionId || '(no id)'}${duplicate ? ' (duplicate)' : ''}`);
+        send(res, 200, { ok: true, duplicate });
+    });
+});
+
+server.listen(port, () => {
+    console.log(`🧪 Stub submission server on http://localhost:${port}${alwaysFail ? ' (failing every request)' : ''}`);
+});